@@ -6,7 +6,7 @@ import "./style.css";
  * @property {number} [gap] - Space between items in pixels. Auto-detected from CSS if not specified.
  * @property {boolean} [pauseOnHover=false] - Pause marquee on mouse hover.
  * @property {boolean} [pauseOnClick=false] - Pause/resume marquee on click, resume on click outside container.
- * @property {boolean} [adaptivePause=false] - Automatically use hover behavior on desktop (≥1024px) and click behavior on mobile (<1024px).
+ * @property {boolean|number} [adaptivePause=false] - Automatically use hover behavior on desktop (≥1024px) and click behavior on mobile (<1024px). A number sets the desktop width instead of 1024.
  * @property {boolean} [reverse=false] - Reverse scrolling direction (right to left becomes left to right).
  * @property {boolean|number} [initialShift=false] - Initial content offset: `true` shifts by container width, number shifts by specified pixels.
  * @property {boolean} [pauseOnInvisible=false] - Pause animation when marquee is not visible in viewport (uses IntersectionObserver).
@@ -15,12 +15,256 @@ import "./style.css";
  * @property {boolean} [develop=false] - Enable debug console logging for all events.
  * @property {boolean} [forceAnimation=false] - Force animation even when content fits within container width.
  * @property {number} [forceAnimationWidth=2] - Width multiplier (relative to window width) used for forced animation calculations.
- * @property {boolean|number} [fadeEdges=false] - Enables fade blurring at the edges. If true, then it will always blur, if for example 1900, then it will blur starting from 1900px (for cases when you need to blur at high resolutions).
+ * @property {boolean|number|CometMarqueeFadeOptions} [fadeEdges=false] - Enables fade blurring at the edges. If true, then it will always blur, if for example 1900, then it will blur starting from 1900px (for cases when you need to blur at high resolutions). An object configures the sides, the width range and an overlay fallback.
  * @property {boolean} [fullWidth=false] - Stretches the container to full viewport width (100vw) using negative margins. Useful for marquees that need to span entire viewport regardless of parent container.
  * @property {boolean} [vertical=false] - Enables vertical scrolling mode (top to bottom or bottom to top).
+ * @property {'auto'|'ltr'|'rtl'} [direction='auto'] - Writing direction of horizontal marquees. `auto` reads the container's computed `direction`, `ltr`/`rtl` set its `dir` attribute. In RTL the items start at the right and move to the right.
  * @property {number|string} [height] - Container height for vertical mode. Can be number (pixels) or CSS string (e.g., '300px', '50vh'). Defaults to CSS variable --comet-marquee-height (300px).
+ * @property {boolean} [draggable=false] - Allows grabbing the marquee with mouse or touch and dragging it back and forth. On release it keeps moving with momentum and eases back to `speed`.
+ * @property {number} [dragFriction=0.95] - Share of the release momentum kept per frame (at 60fps) after a drag. Lower values settle back to `speed` faster.
+ * @property {boolean|number} [scrollBoost=false] - Speeds the marquee up in proportion to page scroll velocity. `true` adds 0.5px/s per 1px/s of scrolling, a number sets that factor.
+ * @property {number} [scrollBoostFriction=0.92] - Share of the scroll boost kept per frame (at 60fps). Lower values return to `speed` faster.
+ * @property {boolean} [reverseOnScrollUp=false] - Flips the scrolling direction while the page is scrolled up, and restores it when scrolling down.
+ * @property {string|false} [role='marquee'] - ARIA role applied to the container. `false` leaves it untouched. A role already present in the markup is kept.
+ * @property {string} [ariaLabel] - Accessible name for the container (`aria-label`). A label already present in the markup is kept.
+ * @property {boolean} [pauseButton=false] - Renders an accessible pause/play button inside the container (WCAG 2.2.2 Pause, Stop, Hide).
+ * @property {{pause: string, play: string}} [pauseButtonLabels] - Labels of the pause button. Defaults to `{ pause: 'Pause marquee', play: 'Play marquee' }`.
+ * @property {boolean} [pauseOnFocus=true] - Pauses while keyboard focus is inside the container and shifts the focused item fully into view.
+ * @property {boolean} [keyboardNavigation=false] - Makes the container focusable and lets arrow keys step to the previous/next item.
+ * @property {boolean} [observeMutations=false] - Re-measures when original items inside `.comet-marquee-content` change, and destroys the instance once its container is removed from the DOM.
+ * @property {number} [pauseDuration=0] - Deceleration time in milliseconds when pausing. `0` stops instantly.
+ * @property {number} [resumeDuration=0] - Acceleration time in milliseconds when resuming. `0` resumes at full speed instantly.
+ * @property {string|Function} [pauseEasing='ease-in-out'] - Easing of the pause/resume ramp: 'linear', 'ease-in', 'ease-out', 'ease-in-out' or a function mapping progress 0–1 to 0–1.
+ * @property {number} [hoverSpeed] - Share of `speed` (e.g. 0.2 = 20%) to slow down to on hover instead of pausing. Works with `pauseOnHover` and the desktop side of `adaptivePause`, or on its own.
+ * @property {number|CometMarqueeLaneOptions[]} [lanes] - Splits the items of the container across stacked lanes: a number of lanes, or one override object per lane. Containers with several `.comet-marquee-content` elements get one lane per content. Only read by `CometMarquee` on creation.
+ * @property {boolean} [syncLanes=false] - Pauses and resumes all lanes of a container together, e.g. hovering one lane pauses all of them.
+ * @property {boolean} [recycle=false] - Keeps only as many nodes as cover the container plus the largest item, moving items that leave one edge to the other instead of cloning whole sets. For large item sets. Uses the `js` renderer. Iframes, videos and audio inside moved items reload.
+ * @property {boolean} [autoplay=true] - Runs the marquee on the internal animation frame loop. `false` leaves the timing to `tick(deltaMs)`, e.g. for an external ticker or tests.
+ * @property {boolean} [waitForAssets=true] - Waits for the item images to decode and `document.fonts.ready` before resolving `ready`. While images or fonts are still loading, measuring, cloning and the animation wait too. `loading="lazy"` images are not waited for.
+ * @property {number} [readyTimeout=3000] - Maximum wait for assets in milliseconds, after which `ready` resolves anyway.
+ * @property {boolean} [observeItemResize=true] - After `ready`, re-measures keeping the position whenever an original item changes size, e.g. a late image or a font swap.
+ * @property {boolean} [step=false] - Ticker mode: slides exactly one item (plus `gap`) at a time, then rests for `stepDwell`. Respects hover pause, `reverse` and `vertical`. Uses the `js` renderer.
+ * @property {number} [stepDuration=600] - Duration of one step slide in milliseconds.
+ * @property {number} [stepDwell=3000] - Rest time between steps in milliseconds. Pausing holds it, `hoverSpeed` stretches it.
+ * @property {string|Function} [stepEasing='ease-in-out'] - Easing of the step slide, as in `pauseEasing`.
+ * @property {'center'|'start'|false} [activeItem=false] - Tracks the original item at the centre or start of the container, marking it and its clones with `is-active` and dispatching 'active-item-change'.
+ * @property {boolean} [trackVisibility=false] - Dispatches 'item-enter'/'item-leave' when an original item, or any of its clones, enters or leaves the container.
+ * @property {Object<string, CometMarqueeOptions>} [breakpoints] - Options applied while a media query matches: keys are media queries (`'(max-width: 767px)'`) or minimum widths in pixels (`768`). Matching entries apply in key order, widths ascending first, later ones winning. `lanes` and `breakpoints` are ignored inside.
+ * @property {'js'|'waapi'} [renderer='js'] - `waapi` runs the steady motion on the compositor with `Element.animate()`, so a busy main thread doesn't make it stutter. Falls back to `js` where the Web Animations API is missing.
  */
 
+/**
+ * @typedef {object} CometMarqueeFadeOptions
+ * @property {number|string|false} [start] - Fade length at the start edge (left, right in RTL, top in vertical mode): pixels or a CSS length such as '10%'. `false` or `0` disables it. Defaults to `--comet-marquee-fade-distance`.
+ * @property {number|string|false} [end] - Fade length at the end edge, like `start`.
+ * @property {number} [minWidth=0] - Only fades from this window width up (px).
+ * @property {number} [maxWidth] - Only fades up to this window width (px).
+ * @property {string} [overlay] - Draws gradients from this colour over the edges instead of masking them, for content where `mask-image` clashes with `backdrop-filter`.
+ */
+
+/**
+ * @typedef {object} CometMarqueeLaneOptions
+ * @property {boolean} [reverse] - Scrolling direction of the lane.
+ * @property {number} [speed] - Speed of the lane in pixels per second.
+ * @property {boolean|number} [initialShift] - Initial offset of the lane.
+ */
+
+/**
+ * Selector for natively focusable elements, taken out of the tab order inside clones.
+ * @type {string}
+ */
+const FOCUSABLE_SELECTOR = 'a[href], area[href], button, input, select, textarea, iframe, summary, [tabindex], [contenteditable]';
+
+/**
+ * Easing curves for the pause/resume speed ramp, mapping progress 0–1 to 0–1.
+ * @type {Object<string, function(number): number>}
+ */
+const EASINGS = {
+  linear: t => t,
+  'ease-in': t => t * t,
+  'ease-out': t => t * (2 - t),
+  'ease-in-out': t => (t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t)
+};
+
+/**
+ * Window width from which `adaptivePause` uses the desktop (hover) behavior.
+ * @type {number}
+ */
+const ADAPTIVE_PAUSE_WIDTH = 1024;
+
+/**
+ * Converts a `breakpoints` key to a media query: numeric keys are minimum widths in pixels.
+ * @param {string} key - The breakpoint key.
+ * @returns {string} The media query.
+ */
+const toMediaQuery = key => (/^\d+$/.test(key) ? `(min-width: ${key}px)` : key);
+
+/**
+ * Compares option values, treating plain objects with the same content as equal.
+ * @param {*} a - The first value.
+ * @param {*} b - The second value.
+ * @returns {boolean} True if the values are the same.
+ */
+const isSameOption = (a, b) => a === b
+    || (a !== null && b !== null && typeof a === 'object' && typeof b === 'object'
+        && JSON.stringify(a) === JSON.stringify(b));
+
+/**
+ * Attribute that marks containers for `CometMarquee.autoInit()`.
+ * Its value may hold a JSON object of options.
+ * @type {string}
+ */
+const AUTO_INIT_ATTRIBUTE = 'data-comet-marquee';
+
+/**
+ * Converts a data attribute string to the value it describes:
+ * `''`/`'true'`/`'false'`/`'null'`, numbers and JSON objects/arrays. Anything else stays a string.
+ * @param {string} value - The attribute value.
+ * @returns {*} The parsed value.
+ */
+const parseDataValue = (value) => {
+  const trimmed = value.trim();
+  if (trimmed === '' || trimmed === 'true') return true;
+  if (trimmed === 'false') return false;
+  if (trimmed === 'null') return null;
+  if (!isNaN(trimmed)) return Number(trimmed);
+  if (/^[[{]/.test(trimmed)) {
+    try {
+      return JSON.parse(trimmed);
+    } catch (e) {
+      return value;
+    }
+  }
+  return value;
+};
+
+/**
+ * Options read from data attributes on top of `ELEMENT_OPTIONS`, which leaves out the ARIA and lane options.
+ * @type {string[]}
+ */
+const DATA_ONLY_OPTIONS = ['role', 'ariaLabel', 'lanes', 'syncLanes'];
+
+/**
+ * Reads marquee options from a container's data attributes.
+ * The JSON in `data-comet-marquee` is applied first, then the `data-*` attributes named after an option
+ * (`data-speed`, `data-fade-edges="1900"`, ...) by their camelCased name. Other data attributes are ignored.
+ * @param {HTMLElement} container - The marquee container.
+ * @returns {CometMarqueeOptions} The options found on the container.
+ */
+const readDataOptions = (container) => {
+  let options = {};
+
+  const json = container.getAttribute(AUTO_INIT_ATTRIBUTE);
+  if (json && json.trim()) {
+    try {
+      options = JSON.parse(json);
+    } catch (e) {
+      console.warn(`CometMarquee: invalid JSON in ${AUTO_INIT_ATTRIBUTE}`, container);
+    }
+  }
+
+  Object.keys(container.dataset).forEach(key => {
+    if (!ELEMENT_OPTIONS.includes(key) && !DATA_ONLY_OPTIONS.includes(key)) return;
+    options[key] = parseDataValue(container.dataset[key]);
+  });
+
+  return options;
+};
+
+/**
+ * Shared observer that destroys `observeMutations` instances once their container leaves the DOM.
+ * @type {MutationObserver|null}
+ */
+let detachObserver = null;
+
+/**
+ * Starts the shared detach observer if it isn't running yet.
+ */
+const watchDetachedContainers = () => {
+  if (detachObserver) return;
+
+  detachObserver = new MutationObserver(records => {
+    if (!records.some(record => record.removedNodes.length)) return;
+
+    window.__allCometMarqueeInstances
+        .filter(inst => inst.options.observeMutations && !inst.container.isConnected)
+        .forEach(inst => {
+          inst.dispatchEvent('container-detached');
+          inst.destroy();
+        });
+  });
+  detachObserver.observe(document.documentElement, { childList: true, subtree: true });
+};
+
+/**
+ * Checks whether an element got focus from the keyboard.
+ * Browsers without `:focus-visible` support treat every focus as keyboard focus.
+ * @param {Element} el - The focused element.
+ * @returns {boolean} True for keyboard focus.
+ */
+const isFocusVisible = (el) => {
+  try {
+    return el.matches(':focus-visible');
+  } catch (e) {
+    return true;
+  }
+};
+
+/**
+ * Shared frame loop: ticks every running instance from one requestAnimationFrame callback
+ * with one timestamp, then writes all transforms in one batch. Instances subscribe while
+ * they move and unsubscribe once stopped or settled in a pause.
+ */
+const frameScheduler = {
+  /** @type {Set<CometMarqueeInstance>} */
+  instances: new Set(),
+  /** @type {number|null} */
+  frameId: null,
+
+  /**
+   * Subscribes an instance, starting the loop if it was idle.
+   * @param {CometMarqueeInstance} instance - The instance to tick.
+   */
+  add(instance) {
+    if (frameScheduler.instances.has(instance)) return;
+
+    /**
+     * Starts timing on the first frame, so instances started together stay in phase.
+     */
+    instance.lastTime = null;
+    frameScheduler.instances.add(instance);
+    if (frameScheduler.frameId === null) frameScheduler.frameId = requestAnimationFrame(frameScheduler.tick);
+  },
+
+  /**
+   * Unsubscribes an instance, cancelling the loop once none is left.
+   * @param {CometMarqueeInstance} instance - The instance to stop ticking.
+   */
+  remove(instance) {
+    frameScheduler.instances.delete(instance);
+    if (!frameScheduler.instances.size && frameScheduler.frameId !== null) {
+      cancelAnimationFrame(frameScheduler.frameId);
+      frameScheduler.frameId = null;
+    }
+  },
+
+  /**
+   * Steps all subscribed instances with the frame timestamp, then flushes their transforms.
+   * @param {DOMHighResTimeStamp} time - The frame timestamp.
+   */
+  tick(time) {
+    frameScheduler.frameId = null;
+
+    const instances = Array.from(frameScheduler.instances);
+    instances.forEach(instance => instance.animate(time));
+    instances.forEach(instance => instance.flushTransform());
+
+    if (frameScheduler.instances.size && frameScheduler.frameId === null) {
+      frameScheduler.frameId = requestAnimationFrame(frameScheduler.tick);
+    }
+  }
+};
+
 /**
  * Global array to track all CometMarquee instances for synchronization.
  * @type {CometMarqueeInstance[]}
@@ -48,12 +292,111 @@ class CometMarquee {
     }
 
     /**
-     * Array of CometMarqueeInstance objects managed by this CometMarquee.
+     * Lane markup created for the `lanes` option, restored on `destroy()`.
+     * @type {{container: HTMLElement, lanes: HTMLElement[], contents: HTMLElement[], laneContents: HTMLElement[]}[]}
+     */
+    this.laneGroups = [];
+
+    /**
+     * Array of CometMarqueeInstance objects managed by this CometMarquee, one per lane when using lanes.
      * @type {CometMarqueeInstance[]}
      */
-    this.instances = this.containers.map((container, idx) =>
-        new CometMarqueeInstance(container, options, idx)
-    );
+    this.instances = this.containers.flatMap((container, idx) => this.createInstances(container, options, idx));
+
+    /**
+     * Resolves with this CometMarquee once all instances are ready.
+     * @type {Promise<CometMarquee>}
+     */
+    this.ready = Promise.all(this.instances.map(i => i.ready)).then(() => this);
+  }
+
+  /**
+   * Creates the instance for a container, or one instance per lane when the container uses lanes.
+   * @param {HTMLElement} container - The marquee container.
+   * @param {CometMarqueeOptions} options - The options, including `lanes`.
+   * @param {number} idx - The container index.
+   * @returns {CometMarqueeInstance[]} The created instances.
+   * @private
+   */
+  createInstances(container, { lanes = null, ...options }, idx) {
+    const contents = Array.from(container.children).filter(el => el.classList.contains('comet-marquee-content'));
+    if (contents.length < 2 && !lanes) {
+      return [new CometMarqueeInstance(container, options, idx)];
+    }
+
+    if (container.classList.contains('has-comet-marquee-lanes')) {
+      if (options.develop) console.warn(`[CometMarquee #${idx}] Lanes already initialized. Skipping.`);
+      return [];
+    }
+
+    const overrides = Array.isArray(lanes) ? lanes : [];
+    const group = { container, lanes: [], contents, laneContents: contents };
+
+    /**
+     * With one content element its items are dealt round-robin into new lane contents,
+     * otherwise every content element becomes a lane as it is.
+     */
+    let laneContents = contents;
+    if (contents.length < 2) {
+      const source = contents[0] || container.querySelector('.comet-marquee-content');
+      const count = Math.max(1, overrides.length || Math.floor(lanes) || 1);
+
+      group.contents = [source];
+      laneContents = [source];
+      for (let i = 1; i < count; i++) {
+        const content = document.createElement(source.tagName);
+        content.className = source.className;
+        laneContents.push(content);
+      }
+      Array.from(source.children).forEach((item, i) => laneContents[i % count].appendChild(item));
+      group.laneContents = laneContents;
+    }
+
+    laneContents.forEach((content, i) => {
+      const lane = document.createElement('div');
+      lane.className = 'comet-marquee-container comet-marquee-lane';
+      lane.setAttribute('data-lane', String(i));
+      if (content.parentNode === container) container.insertBefore(lane, content);
+      else container.appendChild(lane);
+      lane.appendChild(content);
+      group.lanes.push(lane);
+    });
+
+    container.classList.add('has-comet-marquee-lanes');
+    if (options.vertical) container.classList.add('is-vertical-lanes');
+    this.laneGroups.push(group);
+
+    const instances = group.lanes.map((lane, i) => new CometMarqueeInstance(lane, { ...options, ...overrides[i] }, idx));
+    instances.forEach((instance, i) => {
+      instance.lanes = instances;
+      instance.laneOverrides = overrides[i] || {};
+    });
+    return instances;
+  }
+
+  /**
+   * Puts the content elements and items of a lane group back into the container and removes the lanes.
+   * Split items are dealt back from the lanes' current originals, so items added or removed meanwhile are kept
+   * and unchanged lanes restore the original order.
+   * @param {object} group - A lane group from `laneGroups`.
+   * @private
+   */
+  removeLanes(group) {
+    const { container, lanes, contents, laneContents } = group;
+
+    contents.forEach(content => container.insertBefore(content, lanes[0]));
+    if (laneContents !== contents) {
+      const laneItems = laneContents.map(content => Array.from(content.children).filter(el => !el.classList.contains('comet-marquee-clone')));
+      const rows = Math.max(...laneItems.map(list => list.length));
+      for (let row = 0; row < rows; row++) {
+        laneItems.forEach(list => {
+          if (list[row]) contents[0].appendChild(list[row]);
+        });
+      }
+    }
+    lanes.forEach(lane => lane.remove());
+
+    container.classList.remove('has-comet-marquee-lanes', 'is-vertical-lanes');
   }
 
   /**
@@ -82,21 +425,192 @@ class CometMarquee {
    */
   refresh() { this.instances.forEach(i => i.refresh()); }
 
+  /**
+   * Updates options at runtime for all managed marquee instances, keeping their positions.
+   * @param {CometMarqueeOptions} partial - The options to change.
+   */
+  setOptions(partial) { this.instances.forEach(i => i.setOptions({ ...partial, ...i.laneOverrides })); }
+
+  /**
+   * Seeks all managed marquee instances so an original item is at the start or centre of the viewport.
+   * @param {number} index - Index of the original item.
+   * @param {object} [seekOptions] - `align`, `behavior` and `duration`, see `CometMarqueeInstance#scrollToItem()`.
+   * @returns {Promise<boolean[]>} Resolves once all seeks finish.
+   */
+  scrollToItem(index, seekOptions) { return Promise.all(this.instances.map(i => i.scrollToItem(index, seekOptions))); }
+
+  /**
+   * Seeks all managed marquee instances to a normalized loop progress.
+   * @param {number} progress - Target progress from 0 to 1.
+   * @param {object} [seekOptions] - `behavior` and `duration`, see `CometMarqueeInstance#setProgress()`.
+   * @returns {Promise<boolean[]>} Resolves once all seeks finish.
+   */
+  setProgress(progress, seekOptions) { return Promise.all(this.instances.map(i => i.setProgress(progress, seekOptions))); }
+
+  /**
+   * Returns the normalized loop progress of all managed marquee instances.
+   * @returns {number[]} Progress from 0 to 1 per instance.
+   */
+  getProgress() { return this.instances.map(i => i.getProgress()); }
+
+  /**
+   * Returns the active original item of all managed marquee instances (`activeItem` option).
+   * @returns {(HTMLElement|null)[]} The active item per instance.
+   */
+  getActiveItem() { return this.instances.map(i => i.getActiveItem()); }
+
+  /**
+   * Replaces the original items of all managed marquee instances with elements rendered from data records.
+   * @param {Array} data - The records.
+   * @param {Function|HTMLTemplateElement} [render] - Render function or template, see `CometMarqueeInstance#setItems()`.
+   * @param {string|Function} [key='id'] - Record property or function giving the key.
+   */
+  setItems(data, render, key) { this.instances.forEach(i => i.setItems(data, render, key)); }
+
+  /**
+   * Advances all managed marquee instances by a time step when `autoplay` is false.
+   * @param {number} deltaMs - Elapsed time in milliseconds.
+   */
+  tick(deltaMs) { this.instances.forEach(i => i.tick(deltaMs)); }
+
+  /**
+   * Returns the original items of all managed marquee instances.
+   * @returns {HTMLElement[]} The original items, instance by instance.
+   */
+  getItems() { return this.instances.flatMap(i => i.getItems()); }
+
   /**
    * Adds a new item to all managed marquee instances.
-   * @param {string} html - The HTML string of the new item.
+   * @param {string|Node} item - The item element, or its HTML string. Other instances get a copy of an element.
+   */
+  addItem(item) { this.insertItem(item); }
+
+  /**
+   * Inserts a new item into all managed marquee instances.
+   * @param {string|Node} item - The item element, or its HTML string. Other instances get a copy of an element.
+   * @param {number} [index] - Position of the new item, negative counts from the end. Appends by default.
+   */
+  insertItem(item, index) {
+    this.instances.forEach((i, n) => i.insertItem(n && item instanceof Node ? item.cloneNode(true) : item, index));
+  }
+
+  /**
+   * Removes an original item from all managed marquee instances.
+   * @param {number|Element} [target] - Index of the item, or an element inside it. Removes the last item by default.
+   */
+  removeItem(target) { this.instances.forEach(i => i.removeItem(target)); }
+
+  /**
+   * Replaces an original item in all managed marquee instances.
+   * @param {number|Element} target - Index of the item, or an element inside it.
+   * @param {string|Node} item - The new item element, or its HTML string. Other instances get a copy of an element.
    */
-  addItem(html) { this.instances.forEach(i => i.addItem(html)); }
+  replaceItem(target, item) {
+    this.instances.forEach((i, n) => i.replaceItem(target, n && item instanceof Node ? item.cloneNode(true) : item));
+  }
 
   /**
-   * Removes the last original item from all managed marquee instances.
+   * Moves an original item to another position in all managed marquee instances.
+   * @param {number|Element} from - Index of the item, or an element inside it.
+   * @param {number} to - New index of the item.
    */
-  removeItem() { this.instances.forEach(i => i.removeItem()); }
+  moveItem(from, to) { this.instances.forEach(i => i.moveItem(from, to)); }
 
   /**
    * Destroys all managed marquee instances and cleans up resources.
    */
-  destroy() { this.instances.forEach(i => i.destroy()); }
+  destroy() {
+    this.instances.forEach(i => i.destroy());
+    this.laneGroups.forEach(group => this.removeLanes(group));
+    this.laneGroups = [];
+  }
+
+  /**
+   * The `<comet-marquee>` element class, for subclassing.
+   * @returns {typeof CometMarqueeElement} The element class.
+   */
+  static get Element() {
+    return CometMarqueeElement;
+  }
+
+  /**
+   * Registers the `<comet-marquee>` custom element. Called automatically for `comet-marquee` on load.
+   * @param {string} [tagName='comet-marquee'] - The tag name to register.
+   */
+  static defineElement(tagName = 'comet-marquee') {
+    if (!window.customElements || window.customElements.get(tagName)) return;
+
+    /**
+     * Registers a subclass, as one constructor can only be defined under a single tag name.
+     */
+    window.customElements.define(tagName, class extends CometMarqueeElement {});
+  }
+
+  /**
+   * Watches the DOM and initializes matching containers as they are inserted.
+   * Instances are created with `observeMutations`, so they re-measure on item changes
+   * and are destroyed once their container is removed.
+   * Waits for `DOMContentLoaded` so containers are only initialized with their content parsed.
+   * @param {string} [selector='[data-comet-marquee]'] - CSS selector of the containers.
+   * @param {CometMarqueeOptions} [defaults={}] - Options applied before the data attributes.
+   * @param {Element} [root=document.documentElement] - The element to watch.
+   * @returns {MutationObserver} The observer. Call `disconnect()` to stop watching.
+   */
+  static observe(selector = `[${AUTO_INIT_ATTRIBUTE}]`, defaults = {}, root = document.documentElement) {
+    const initWithin = (node) => {
+      if (!(node instanceof HTMLElement)) return;
+
+      const containers = Array.from(node.querySelectorAll(selector));
+      if (node.matches(selector)) containers.unshift(node);
+
+      containers
+          .filter(container => !container.classList.contains('is-init-comet-marquee')
+              && container.querySelector('.comet-marquee-content'))
+          .forEach(container => new CometMarquee(container, {
+            ...defaults,
+            ...readDataOptions(container),
+            observeMutations: true
+          }));
+    };
+
+    const observer = new MutationObserver(records => {
+      records.forEach(record => record.addedNodes.forEach(initWithin));
+    });
+
+    const start = () => {
+      initWithin(root);
+      observer.observe(root, { childList: true, subtree: true });
+    };
+
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', start, { once: true });
+    } else {
+      start();
+    }
+
+    return observer;
+  }
+
+  /**
+   * Initializes every `[data-comet-marquee]` container that isn't initialized yet,
+   * reading its options from data attributes.
+   * @param {ParentNode} [root=document] - The element or document to search in.
+   * @param {CometMarqueeOptions} [defaults={}] - Options applied before the data attributes.
+   * @returns {CometMarquee[]} One CometMarquee per initialized container.
+   */
+  static autoInit(root = document, defaults = {}) {
+    const containers = Array.from(root.querySelectorAll(`[${AUTO_INIT_ATTRIBUTE}]`));
+    if (root instanceof HTMLElement && root.hasAttribute(AUTO_INIT_ATTRIBUTE)) {
+      containers.unshift(root);
+    }
+
+    return containers
+        .filter(container => !container.classList.contains('is-init-comet-marquee'))
+        .map(container => new CometMarquee(container, {
+          ...defaults,
+          ...readDataOptions(container)
+        }));
+  }
 }
 
 /**
@@ -134,40 +648,32 @@ class CometMarqueeInstance {
       return;
     }
 
-    const cs = getComputedStyle(this.content);
-    const parsedGap = parseFloat(cs.gap || cs.columnGap || '0');
-
     /**
-     * Configuration options for this marquee instance.
+     * Options as given and changed with `setOptions()`, without the `breakpoints` overrides applied on top.
      * @type {CometMarqueeOptions}
      */
-    this.options = {
-      speed: options.speed ?? 50,
-      gap: options.gap ?? (Number.isFinite(parsedGap) ? parsedGap : 0),
-      pauseOnHover: !!options.pauseOnHover,
-      pauseOnClick: !!options.pauseOnClick,
-      adaptivePause: !!options.adaptivePause,
-      reverse: !!options.reverse,
-      initialShift: options.initialShift ?? false,
-      pauseOnInvisible: !!options.pauseOnInvisible,
-      syncPause: !!options.syncPause,
-      repeatCount: options.repeatCount ?? 3,
-      develop: !!options.develop,
-      forceAnimation: !!options.forceAnimation,
-      forceAnimationWidth: options.forceAnimationWidth ?? 2,
-      fadeEdges: options.fadeEdges ?? false,
-      fullWidth: !!options.fullWidth,
-      vertical: !!options.vertical,
-      height: options.height ?? null
-    };
+    this.baseOptions = { ...options };
 
     /**
-     * Axis abstraction for vertical/horizontal scrolling.
-     * @type {boolean}
+     * Keys of the `breakpoints` whose media query currently matches, in the order they apply.
+     * @type {string[]}
      */
-    this.isVertical = this.options.vertical;
-    this.axis = this.isVertical ? 'y' : 'x';
-    this.sizeProperty = this.isVertical ? 'height' : 'width';
+    this.activeBreakpoints = this.getMatchingBreakpoints(options.breakpoints || null);
+    /** @type {MediaQueryList[]} */
+    this._breakpointQueries = [];
+    /** @type {Function|null} */
+    this._breakpointHandler = null;
+
+    /**
+     * Configuration options for this marquee instance.
+     * @type {CometMarqueeOptions}
+     */
+    this.options = this.normalizeOptions({
+      ...options,
+      ...this.getBreakpointOptions(this.activeBreakpoints, options.breakpoints || null)
+    });
+
+    this.applyAxis();
 
     window.__allCometMarqueeInstances.push(this);
 
@@ -175,16 +681,40 @@ class CometMarqueeInstance {
     this.isAnimating = false;
     /** @type {boolean} */
     this.isPaused = false;
-    /** @type {number|null} */
-    this.animationId = null;
+    /**
+     * Set when the frame step moved the content, written by the scheduler after all instances stepped.
+     * @type {boolean}
+     */
+    this.hasPendingTransform = false;
+
+    /**
+     * Web Animation of the `waapi` renderer, with the state it was created with.
+     * @type {Animation|null}
+     */
+    this.waapi = null;
+    /** @type {{sign: number, from: number, duration: number, speed: number, rate: number, iteration: number}|null} */
+    this._waapiState = null;
+
+    /**
+     * Nodes of the `recycle` mode in DOM order with their sizes, and the loop position of the first one.
+     * @type {{el: HTMLElement, size: number}[]|null}
+     */
+    this.recycleNodes = null;
+    /** @type {number} */
+    this.recycleOffset = 0;
     /** @type {number} */
     this.currentTranslate = 0;
     /** @type {number} */
     this.contentWidth = 0;
     /** @type {number} */
     this.containerWidth = 0;
-    /** @type {DOMHighResTimeStamp} */
-    this.lastTime = 0;
+    /** @type {DOMHighResTimeStamp|null} */
+    this.lastTime = null;
+    /**
+     * Time advanced by `tick()`, the instance clock with `autoplay: false`.
+     * @type {number}
+     */
+    this.clockTime = 0;
     /** @type {number} */
     this.idx = idx;
     /** @type {IntersectionObserver|null} */
@@ -201,6 +731,11 @@ class CometMarqueeInstance {
     this._documentClick = null;
     /** @type {Function|null} */
     this._resizeHandler = null;
+    /**
+     * Whether `adaptivePause` currently uses the desktop (hover) handlers, null before the first setup.
+     * @type {boolean|null}
+     */
+    this._adaptiveDesktop = null;
     /** @type {Function|null} */
     this._fadeEdgesResizeHandler = null;
     /** @type {Function|null} */
@@ -211,35 +746,302 @@ class CometMarqueeInstance {
     this.forceAnimationEnabled = false;
 
     /**
-     * CRITICAL: Multiple layers of loop prevention.
-     * These properties track resize state to prevent infinite loops in ResizeObserver.
-     * @type {number}
+     * Drag state for the `draggable` option.
+     * `inertiaVelocity` is the release momentum (px/s) on top of the base speed, decaying to 0.
+     * @type {boolean}
      */
-    this.lastContainerRectWidth = 0;
-    this.lastWindowWidth = window.innerWidth;
-    this.refreshTimeout = null;
-    this.isRefreshing = false;
-    this.isInitializing = false;
-    this.resizeObserverCallCount = 0;
-    this.lastResizeTimestamp = 0;
-    this.contentSetup = false;
+    this.isDragging = false;
+    this.inertiaVelocity = 0;
+    this._drag = null;
+    this._suppressClick = false;
+    /** @type {Function|null} */
+    this._dragStart = null;
+    /** @type {Function|null} */
+    this._dragMove = null;
+    /** @type {Function|null} */
+    this._dragEnd = null;
+    /** @type {Function|null} */
+    this._dragClickGuard = null;
+    /** @type {Function|null} */
+    this._nativeDragBlock = null;
 
     /**
-     * Properties for fullWidth/fullHeight option support.
-     * @type {Function|null}
+     * Scroll state for the `scrollBoost` and `reverseOnScrollUp` options.
+     * `scrollBoostVelocity` is extra speed (px/s) decaying to 0, `scrollDirection` is 1 or -1 (flipped).
+     * @type {number}
      */
-    this._fullWidthResizeHandler = null;
-    this._fullWidthDebounceTimeout = null;
-    this._originalContainerStyles = null;
-    this._initFallbackTimeout = null;
-    this._refreshingGuardTimeout = null;
-    this._orientationTimeout = null;
+    this.scrollBoostVelocity = 0;
+    this.scrollDirection = 1;
+    this.lastScrollY = 0;
+    this.lastScrollTime = 0;
+    /** @type {Function|null} */
+    this._scrollHandler = null;
 
-    this.init();
-    this.bindEvents();
-  }
+    /**
+     * Accessibility state. `isUserPaused` is set by the pause button and blocks automatic resumes.
+     * @type {boolean}
+     */
+    this.isUserPaused = false;
+    /** @type {HTMLButtonElement|null} */
+    this.pauseButton = null;
+    /** @type {Function|null} */
+    this._pauseButtonClick = null;
+    this._pauseButtonPositioned = false;
+    this._addedA11yAttributes = null;
 
-  /**
+    /**
+     * Keyboard state. `isFocusPaused` is set while keyboard focus is inside the container.
+     * @type {boolean}
+     */
+    this.isFocusPaused = false;
+    /** @type {Function|null} */
+    this._focusIn = null;
+    /** @type {Function|null} */
+    this._focusOut = null;
+    /** @type {Function|null} */
+    this._keyboardStep = null;
+    /** @type {Function|null} */
+    this._containerScroll = null;
+
+    /** @type {MutationObserver|null} */
+    this.mo = null;
+    this._mutationTimeout = null;
+
+    /**
+     * Share of the base speed currently applied (0 when paused), eased by `rampSpeed()`.
+     * @type {number}
+     */
+    this.speedFactor = 1;
+    this._ramp = null;
+    /** @type {boolean} */
+    this.isHoverSlowed = false;
+
+    /**
+     * Running seek started by `scrollToItem()`/`setProgress()`.
+     * @type {object|null}
+     */
+    this._seek = null;
+
+    /**
+     * Maps each clone to the original item it was cloned from.
+     * @type {WeakMap<Element, HTMLElement>}
+     */
+    this.cloneSources = new WeakMap();
+
+    /**
+     * Maps items rendered by `setItems()` to the key of their record and the kind of renderer that created them:
+     * the template, `'function'` or null for plain text. Only elements of the same kind are reused.
+     * @type {WeakMap<HTMLElement, {key: *, source: (HTMLTemplateElement|string|null)}>}
+     */
+    this.itemKeys = new WeakMap();
+
+    /**
+     * All lane instances of the same container (including this one) when created with `lanes`.
+     * @type {CometMarqueeInstance[]|null}
+     */
+    this.lanes = null;
+
+    /**
+     * Per-lane options kept over options changed for the whole `CometMarquee`.
+     * @type {CometMarqueeLaneOptions|null}
+     */
+    this.laneOverrides = null;
+
+    /**
+     * CRITICAL: Multiple layers of loop prevention.
+     * These properties track resize state to prevent infinite loops in ResizeObserver.
+     * @type {number}
+     */
+    this.lastContainerRectWidth = 0;
+    this.lastWindowWidth = window.innerWidth;
+    this.refreshTimeout = null;
+    this.isRefreshing = false;
+    this.isInitializing = false;
+    this.resizeObserverCallCount = 0;
+    this.lastResizeTimestamp = 0;
+    this.contentSetup = false;
+
+    /**
+     * Properties for fullWidth/fullHeight option support.
+     * @type {Function|null}
+     */
+    this._fullWidthResizeHandler = null;
+    this._fullWidthDebounceTimeout = null;
+    this._originalContainerStyles = null;
+    this._initFallbackTimeout = null;
+    this._refreshingGuardTimeout = null;
+    this._orientationTimeout = null;
+
+    /**
+     * Readiness state. `itemSizes` holds the last observed size of each original item.
+     * `isLayoutDeferred` holds measuring and cloning back while item assets are still loading.
+     * @type {boolean}
+     */
+    this.isReady = false;
+    this.isLayoutDeferred = false;
+    this.isDestroyed = false;
+    /** @type {ResizeObserver|null} */
+    this.itemRo = null;
+    /** @type {WeakMap<Element, number>} */
+    this.itemSizes = new WeakMap();
+    this._readyTimeout = null;
+
+    /**
+     * Item tracking state for the `activeItem` and `trackVisibility` options.
+     * `visibleNodes` holds the intersecting nodes (originals and clones), `visibleItems` their originals.
+     * @type {IntersectionObserver|null}
+     */
+    this.itemIo = null;
+    /** @type {Set<Element>} */
+    this.visibleNodes = new Set();
+    /** @type {Set<HTMLElement>} */
+    this.visibleItems = new Set();
+    /** @type {HTMLElement|null} */
+    this.activeItem = null;
+    this._activeFrame = null;
+
+    /**
+     * Step mode state: the rest time elapsed since the last step, and the running slide.
+     * @type {number}
+     */
+    this._stepElapsed = 0;
+    /** @type {{from: number, delta: number, start: number, index: number}|null} */
+    this._stepMove = null;
+    /**
+     * Loop offsets of the original items for step mode, measured in `setupContent()`.
+     * @type {number[]|null}
+     */
+    this.itemOffsets = null;
+
+    this.isLayoutDeferred = this.options.waitForAssets && this.hasPendingAssets();
+    this.init();
+    this.bindEvents();
+
+    /**
+     * Resolves with the instance once the item assets are loaded, or after `readyTimeout`.
+     * @type {Promise<CometMarqueeInstance>}
+     */
+    this.ready = this.waitForReady();
+  }
+
+  /**
+   * Applies defaults and coercion to user options. Normalized options pass through unchanged,
+   * so `setOptions()` can merge partial options into the current ones.
+   * @param {CometMarqueeOptions} options - The user options.
+   * @returns {CometMarqueeOptions} The normalized options.
+   */
+  normalizeOptions(options) {
+    const cs = getComputedStyle(this.content);
+    const parsedGap = parseFloat(cs.gap || cs.columnGap || '0');
+
+    return {
+      speed: options.speed ?? 50,
+      gap: options.gap ?? (Number.isFinite(parsedGap) ? parsedGap : 0),
+      pauseOnHover: !!options.pauseOnHover,
+      pauseOnClick: !!options.pauseOnClick,
+      adaptivePause: typeof options.adaptivePause === 'number' ? options.adaptivePause : !!options.adaptivePause,
+      reverse: !!options.reverse,
+      initialShift: options.initialShift ?? false,
+      pauseOnInvisible: !!options.pauseOnInvisible,
+      syncPause: !!options.syncPause,
+      repeatCount: options.repeatCount ?? 3,
+      develop: !!options.develop,
+      forceAnimation: !!options.forceAnimation,
+      forceAnimationWidth: options.forceAnimationWidth ?? 2,
+      fadeEdges: options.fadeEdges ?? false,
+      fullWidth: !!options.fullWidth,
+      vertical: !!options.vertical,
+      direction: options.direction === 'rtl' || options.direction === 'ltr' ? options.direction : 'auto',
+      height: options.height ?? null,
+      draggable: !!options.draggable,
+      dragFriction: options.dragFriction ?? 0.95,
+      scrollBoost: options.scrollBoost ?? false,
+      scrollBoostFriction: options.scrollBoostFriction ?? 0.92,
+      reverseOnScrollUp: !!options.reverseOnScrollUp,
+      role: options.role ?? 'marquee',
+      ariaLabel: options.ariaLabel ?? null,
+      pauseButton: !!options.pauseButton,
+      pauseButtonLabels: {
+        pause: 'Pause marquee',
+        play: 'Play marquee',
+        ...options.pauseButtonLabels
+      },
+      pauseOnFocus: options.pauseOnFocus ?? true,
+      keyboardNavigation: !!options.keyboardNavigation,
+      observeMutations: !!options.observeMutations,
+      pauseDuration: options.pauseDuration ?? 0,
+      resumeDuration: options.resumeDuration ?? 0,
+      pauseEasing: options.pauseEasing ?? 'ease-in-out',
+      hoverSpeed: options.hoverSpeed ?? null,
+      syncLanes: !!options.syncLanes,
+      renderer: options.renderer === 'waapi' ? 'waapi' : 'js',
+      autoplay: options.autoplay ?? true,
+      recycle: !!options.recycle,
+      waitForAssets: options.waitForAssets ?? true,
+      readyTimeout: options.readyTimeout ?? 3000,
+      observeItemResize: options.observeItemResize ?? true,
+      activeItem: options.activeItem === 'start' || options.activeItem === 'center'
+          ? options.activeItem
+          : (options.activeItem ? 'center' : false),
+      trackVisibility: !!options.trackVisibility,
+      step: !!options.step,
+      stepDuration: options.stepDuration ?? 600,
+      stepDwell: options.stepDwell ?? 3000,
+      stepEasing: options.stepEasing ?? 'ease-in-out',
+      breakpoints: options.breakpoints ?? null
+    };
+  }
+
+  /**
+   * Axis abstraction for vertical/horizontal scrolling.
+   */
+  applyAxis() {
+    /** @type {boolean} */
+    this.isVertical = this.options.vertical;
+    this.axis = this.isVertical ? 'y' : 'x';
+    this.sizeProperty = this.isVertical ? 'height' : 'width';
+
+    /**
+     * An explicit `direction` becomes the `dir` attribute, so the items are laid out to match.
+     * The authored attribute is kept to restore it for `auto` and on destroy.
+     */
+    if (this._originalDir === undefined) this._originalDir = this.container.getAttribute('dir');
+    if (this.options.direction !== 'auto') {
+      this.container.setAttribute('dir', this.options.direction);
+    } else {
+      this.restoreDir();
+    }
+
+    /** @type {boolean} */
+    this.isRtl = !this.isVertical && getComputedStyle(this.container).direction === 'rtl';
+    this.container.classList.toggle('is-rtl', this.isRtl);
+  }
+
+  /**
+   * Restores the `dir` attribute the container had before an explicit `direction` was applied.
+   * @private
+   */
+  restoreDir() {
+    if (this._originalDir === undefined) return;
+    if (this._originalDir === null) this.container.removeAttribute('dir');
+    else this.container.setAttribute('dir', this._originalDir);
+  }
+
+  /**
+   * Returns the edges of an element along the scrolling axis in flow order: `start` is where the items
+   * begin (left, right in RTL, top). RTL edges are negated, so in every mode `start < end` and larger
+   * values lie further along the flow, matching the direction of `currentTranslate`.
+   * @param {Element} el - The element.
+   * @returns {{start: number, end: number}} The mirrored edges.
+   * @private
+   */
+  getFlowEdges(el) {
+    const rect = el.getBoundingClientRect();
+    if (this.isVertical) return { start: rect.top, end: rect.bottom };
+    return this.isRtl ? { start: -rect.right, end: -rect.left } : { start: rect.left, end: rect.right };
+  }
+
+  /**
    * Dispatches a custom event on the marquee container.
    * @param {string} eventName - The name of the event to dispatch (e.g., 'animation-started').
    * @param {object} [detail={}] - Custom detail object to pass with the event.
@@ -373,14 +1175,25 @@ class CometMarqueeInstance {
     return cappedClones;
   }
 
+  /**
+   * Removes the fade classes and the per-instance fade properties.
+   * @private
+   */
+  clearFadeEdges() {
+    this.container.classList.remove('is-fade-edges', 'is-fade-overlay');
+    ['--comet-marquee-fade-start', '--comet-marquee-fade-end', '--comet-marquee-fade-color']
+        .forEach(property => this.container.style.removeProperty(property));
+  }
+
   /**
    * Applies or removes fade edge styling based on `fadeEdges` option and window width.
    */
   applyFadeEdges() {
     const { fadeEdges } = this.options;
 
+    this.clearFadeEdges();
+
     if (fadeEdges === false) {
-      this.container.classList.remove('is-fade-edges');
       this.dispatchEvent('fade-edges-removed');
       return;
     }
@@ -401,13 +1214,154 @@ class CometMarqueeInstance {
           currentWidth
         });
       } else {
-        this.container.classList.remove('is-fade-edges');
         this.dispatchEvent('fade-edges-removed', {
           condition: 'breakpoint',
           breakpoint: fadeEdges,
           currentWidth
         });
       }
+      return;
+    }
+
+    if (fadeEdges && typeof fadeEdges === 'object') {
+      const { start, end, minWidth = 0, maxWidth = Infinity, overlay } = fadeEdges;
+      const currentWidth = window.innerWidth;
+      const detail = { condition: 'range', minWidth, maxWidth, currentWidth };
+
+      if (currentWidth < minWidth || currentWidth > maxWidth) {
+        this.dispatchEvent('fade-edges-removed', detail);
+        return;
+      }
+
+      /**
+       * Sides left out use `--comet-marquee-fade-distance` from the CSS.
+       */
+      const toLength = value => (typeof value === 'number' ? `${value}px` : (value || '0px'));
+      if (start !== undefined) this.container.style.setProperty('--comet-marquee-fade-start', toLength(start));
+      if (end !== undefined) this.container.style.setProperty('--comet-marquee-fade-end', toLength(end));
+
+      if (overlay) {
+        this.container.style.setProperty('--comet-marquee-fade-color', overlay);
+        this.container.classList.add('is-fade-overlay');
+      } else {
+        this.container.classList.add('is-fade-edges');
+      }
+
+      this.dispatchEvent('fade-edges-applied', { ...detail, overlay: !!overlay });
+    }
+  }
+
+  /**
+   * Clones an original item for the seamless loop.
+   * Clones are hidden from assistive technology and taken out of the tab order,
+   * so screen readers and keyboard users only meet each item once.
+   * @param {HTMLElement} item - The original item to clone.
+   * @param {boolean} [prepend=false] - Marks the clone as prepended (reverse mode).
+   * @returns {HTMLElement} The clone.
+   */
+  createClone(item, prepend = false) {
+    const clone = item.cloneNode(true);
+    clone.classList.add('comet-marquee-clone');
+    if (prepend) clone.classList.add('comet-marquee-prepend');
+    this.cloneSources.set(clone, item);
+
+    /**
+     * No `inert`: it would also swallow mouse clicks on links inside the clones.
+     */
+    clone.setAttribute('aria-hidden', 'true');
+    if (clone.matches(FOCUSABLE_SELECTOR)) clone.setAttribute('tabindex', '-1');
+    clone.querySelectorAll(FOCUSABLE_SELECTOR).forEach(el => el.setAttribute('tabindex', '-1'));
+
+    return clone;
+  }
+
+  /**
+   * Applies the container role and label, and renders the pause button if enabled.
+   * Attributes already present in the markup are left untouched.
+   */
+  applyAccessibility() {
+    if (!this._addedA11yAttributes) {
+      this._addedA11yAttributes = [];
+      const attributes = {
+        role: this.options.role || null,
+        'aria-label': this.options.ariaLabel,
+        tabindex: this.options.keyboardNavigation ? '0' : null
+      };
+
+      Object.keys(attributes).forEach(name => {
+        if (attributes[name] && !this.container.hasAttribute(name)) {
+          this.container.setAttribute(name, attributes[name]);
+          this._addedA11yAttributes.push(name);
+        }
+      });
+    }
+
+    if (this.options.pauseButton && !this.pauseButton) {
+      this.renderPauseButton();
+    }
+  }
+
+  /**
+   * Renders the pause/play button as the first child of the container,
+   * so keyboard users reach it before the marquee items.
+   */
+  renderPauseButton() {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'comet-marquee-toggle';
+
+    this._pauseButtonClick = (e) => {
+      e.stopPropagation();
+      if (this.isUserPaused) {
+        this.dispatchEvent('button-resume');
+        this.resume();
+      } else {
+        this.isUserPaused = true;
+        this.dispatchEvent('button-pause');
+        this.pause();
+      }
+      this.updatePauseButton();
+    };
+    button.addEventListener('click', this._pauseButtonClick);
+
+    if (getComputedStyle(this.container).position === 'static') {
+      this.container.style.position = 'relative';
+      this._pauseButtonPositioned = true;
+    }
+
+    this.container.insertBefore(button, this.container.firstChild);
+    this.container.classList.add('has-pause-button');
+    this.pauseButton = button;
+    this.updatePauseButton();
+  }
+
+  /**
+   * Syncs the pause button label with the user pause state.
+   */
+  updatePauseButton() {
+    if (!this.pauseButton) return;
+    const { pause, play } = this.options.pauseButtonLabels;
+    const label = this.isUserPaused ? play : pause;
+    this.pauseButton.textContent = label;
+    this.pauseButton.setAttribute('aria-label', label);
+    this.pauseButton.classList.toggle('is-paused', this.isUserPaused);
+  }
+
+  /**
+   * Removes the pause button and the accessibility attributes added by the instance.
+   */
+  removeAccessibility() {
+    if (this.pauseButton) {
+      this.pauseButton.removeEventListener('click', this._pauseButtonClick);
+      this.pauseButton.remove();
+      this.pauseButton = null;
+      this.container.classList.remove('has-pause-button');
+      if (this._pauseButtonPositioned) this.container.style.position = '';
+      this._pauseButtonPositioned = false;
+    }
+    if (this._addedA11yAttributes) {
+      this._addedA11yAttributes.forEach(name => this.container.removeAttribute(name));
+      this._addedA11yAttributes = null;
     }
   }
 
@@ -415,6 +1369,7 @@ class CometMarqueeInstance {
    * Sets up the content for animation, including cloning items and setting initial translation.
    */
   setupContent() {
+    this.restoreItemOrder();
     this.content.style.willChange = 'transform';
 
     const existingClones = this.content.querySelectorAll('.comet-marquee-clone');
@@ -444,7 +1399,33 @@ class CometMarqueeInstance {
     let repeatCount;
     let clonedItems = [];
 
-    if (this.forceAnimationEnabled) {
+    if (this.options.recycle) {
+      /**
+       * Recycling needs whole item sets covering the container plus the largest item,
+       * so moving the first node to the end always continues the sequence.
+       */
+      const sizes = this.items.map(el => el.getBoundingClientRect()[this.sizeProperty]);
+      const sets = Math.max(1, Math.ceil(
+          (this.containerSize + Math.max(...sizes) + this.options.gap * 2) / (this.contentWidth + this.options.gap)
+      ));
+      repeatCount = sets - 1;
+
+      const fragment = document.createDocumentFragment();
+
+      for (let r = 1; r < sets; r++) {
+        this.items.forEach(item => {
+          const clone = this.createClone(item);
+          fragment.appendChild(clone);
+          clonedItems.push(clone);
+        });
+      }
+
+      this.content.appendChild(fragment);
+
+      this.recycleNodes = [...this.items, ...clonedItems].map((el, i) => ({ el, size: sizes[i % sizes.length] }));
+      this.recycleOffset = 0;
+
+    } else if (this.forceAnimationEnabled) {
       const forceClonesCount = this.calculateForceAnimationClones();
       repeatCount = Math.ceil(forceClonesCount / this.items.length);
 
@@ -456,8 +1437,7 @@ class CometMarqueeInstance {
 
       for (let i = 0; i < forceClonesCount; i++) {
         const originalIndex = i % this.items.length;
-        const clone = this.items[originalIndex].cloneNode(true);
-        clone.classList.add('comet-marquee-clone');
+        const clone = this.createClone(this.items[originalIndex]);
         fragment.appendChild(clone);
         clonedItems.push(clone);
       }
@@ -478,8 +1458,7 @@ class CometMarqueeInstance {
 
       for (let r = 0; r < repeatCount; r++) {
         this.items.forEach(item => {
-          const clone = item.cloneNode(true);
-          clone.classList.add('comet-marquee-clone');
+          const clone = this.createClone(item);
           fragment.appendChild(clone);
           clonedItems.push(clone);
         });
@@ -493,16 +1472,14 @@ class CometMarqueeInstance {
      * Uses viewport width to ensure clones cover the entire visible area.
      */
     let prependedClones = [];
-    if (this.options.reverse) {
+    if (this.options.reverse && !this.options.recycle) {
       const referenceWidth = Math.max(this.containerWidth, window.innerWidth);
       const prependSets = Math.max(2, Math.ceil(referenceWidth / this.contentWidth) + 1);
       const prependFragment = document.createDocumentFragment();
 
       for (let r = 0; r < prependSets; r++) {
         this.items.forEach(item => {
-          const clone = item.cloneNode(true);
-          clone.classList.add('comet-marquee-clone');
-          clone.classList.add('comet-marquee-prepend');
+          const clone = this.createClone(item, true);
           prependFragment.appendChild(clone);
           prependedClones.push(clone);
         });
@@ -566,20 +1543,18 @@ class CometMarqueeInstance {
     this.loopWidth = loopSize;
     this.prependWidth = prependWidth;
 
+    /**
+     * Step targets are measured once here, before the transform write, not in every frame step.
+     */
+    this.itemOffsets = this.options.step && this.items.length ? this.getItemOffsets() : null;
+
     if (this.options.reverse) {
       this.currentTranslate = -prependWidth - loopSize + shift;
     } else {
       this.currentTranslate = -shift;
     }
 
-    /**
-     * Applies initial transform based on scrolling axis.
-     */
-    if (this.isVertical) {
-      this.content.style.transform = `translate3d(0,${this.currentTranslate}px,0)`;
-    } else {
-      this.content.style.transform = `translate3d(${this.currentTranslate}px,0,0)`;
-    }
+    this.applyTransform();
 
     this.dispatchEvent('content-setup', {
       totalSize: totalSizeWithClones,
@@ -597,6 +1572,7 @@ class CometMarqueeInstance {
     this.dispatchEvent('init-start');
 
     this.container.classList.add('is-init-comet-marquee');
+    this.applyAccessibility();
 
     /**
      * Applies vertical mode setup and height configuration.
@@ -621,10 +1597,18 @@ class CometMarqueeInstance {
       this.applyFullSize();
     }
 
-    this.calculateDimensions();
-    this.setupContent();
+    /**
+     * While item assets load, measuring would read placeholder sizes, so the layout waits for `ready`.
+     */
+    if (!this.isLayoutDeferred) {
+      this.calculateDimensions();
+      this.setupContent();
+      this.startAnimation();
+    }
     this.applyFadeEdges();
-    this.startAnimation();
+
+    if (this.itemRo) this.observeItemSizes();
+    if (this.itemIo) this.observeItemNodes();
 
     this.dispatchEvent('init-complete');
 
@@ -749,6 +1733,29 @@ class CometMarqueeInstance {
     }
   }
 
+  /**
+   * Removes the fullWidth/fullHeight stretch and restores the original container styles.
+   */
+  removeFullSize() {
+    if (this._fullWidthResizeHandler) {
+      window.removeEventListener('resize', this._fullWidthResizeHandler);
+      this._fullWidthResizeHandler = null;
+    }
+    if (this._fullWidthDebounceTimeout) {
+      clearTimeout(this._fullWidthDebounceTimeout);
+    }
+    if (this._originalContainerStyles) {
+      this.container.style.width = this._originalContainerStyles.width;
+      this.container.style.height = this._originalContainerStyles.height;
+      this.container.style.maxWidth = this._originalContainerStyles.maxWidth;
+      this.container.style.maxHeight = this._originalContainerStyles.maxHeight;
+      this.container.style.marginLeft = this._originalContainerStyles.marginLeft;
+      this.container.style.marginTop = this._originalContainerStyles.marginTop;
+      this.container.style.position = this._originalContainerStyles.position;
+      this._originalContainerStyles = null;
+    }
+  }
+
   /**
    * Starts or restarts the marquee animation.
    */
@@ -759,486 +1766,2399 @@ class CometMarqueeInstance {
     }
 
     this.isAnimating = true;
-    this.isPaused = false;
-    this.lastTime = performance.now();
-    cancelAnimationFrame(this.animationId);
+
+    /**
+     * A pause held by the pause button or keyboard focus survives restarts (e.g. on refresh).
+     */
+    this.isPaused = this.isUserPaused || this.isFocusPaused;
+    this.speedFactor = this.isPaused ? 0 : this.getRunningSpeedFactor();
+    this._ramp = null;
+    this.resetStep();
+
+    if (this.options.renderer === 'waapi' && this.options.autoplay && !this.options.recycle && !this.options.step && typeof this.content.animate === 'function'
+        && this.options.speed > 0 && this.contentSetup) {
+      this.startWaapi(this.getBaseVelocity() > 0 ? 1 : -1);
+    }
 
     this.dispatchEvent('animation-started');
 
-    this.animate();
+    if (this.options.autoplay) frameScheduler.add(this);
+    else this.lastTime = this.clockTime;
   }
 
   /**
-   * The animation loop function, called by requestAnimationFrame.
+   * Subscribes a running instance to the shared frame loop again after it settled in a pause.
    * @private
    */
-  animate = (currentTime) => {
-    if (!this.isAnimating) return;
-    if (!currentTime) currentTime = performance.now();
-    const dt = (currentTime - this.lastTime) / 1000;
-    this.lastTime = currentTime;
+  wake() {
+    if (this.isAnimating && this.options.autoplay) frameScheduler.add(this);
+  }
 
-    if (!this.isPaused) {
-      /**
-       * Uses stored loopSize for consistent wrapping.
-       */
-      const loopSize = this.loopWidth || (this.contentWidth + this.options.gap);
+  /**
+   * Returns the time of the instance clock: `performance.now()`, or the time advanced by `tick()` with `autoplay: false`.
+   * @returns {number} The time in milliseconds.
+   */
+  now() {
+    return this.options.autoplay ? performance.now() : this.clockTime;
+  }
 
-      if (this.options.reverse) {
-        this.currentTranslate += this.options.speed * dt;
+  /**
+   * Advances the animation by a time step when `autoplay` is false. Runs the same frame step as the
+   * internal loop, so ramps, seeks, wrapping and 'animation-cycle' events behave the same.
+   * @param {number} deltaMs - Elapsed time in milliseconds.
+   */
+  tick(deltaMs) {
+    if (this.options.autoplay) return;
 
-        /**
-         * Wrap point for reverse: when we've scrolled through one full period.
-         */
-        const wrapPoint = -(this.prependWidth || 0);
-        if (this.currentTranslate >= wrapPoint) {
-          this.currentTranslate -= loopSize;
-          this.dispatchEvent('animation-cycle', { direction: 'reverse' });
-        }
-      } else {
-        this.currentTranslate -= this.options.speed * dt;
-
-        /**
-         * Wrap point for forward: when we've scrolled past one full period.
-         */
-        if (this.currentTranslate <= -loopSize) {
-          this.currentTranslate += loopSize;
-          this.dispatchEvent('animation-cycle', { direction: 'forward' });
-        }
-      }
+    this.clockTime += deltaMs;
+    if (!this.isAnimating) return;
 
-      /**
-       * Applies axis-aware transform.
-       */
-      if (this.isVertical) {
-        this.content.style.transform = `translate3d(0,${this.currentTranslate}px,0)`;
-      } else {
-        this.content.style.transform = `translate3d(${this.currentTranslate}px,0,0)`;
-      }
-    }
+    this.animate(this.clockTime);
+    this.flushTransform();
+  }
 
-    this.animationId = requestAnimationFrame(this.animate);
+  /**
+   * Writes the transform computed in the last frame step.
+   * @private
+   */
+  flushTransform() {
+    if (!this.hasPendingTransform) return;
+    this.hasPendingTransform = false;
+    this.applyTransform();
   }
 
   /**
-   * Pauses the marquee animation.
+   * Eases `speedFactor` towards a target share of the base speed.
+   * The duration is scaled by the distance to the target, so interrupted ramps keep the same rate.
+   * @param {number} target - The target speed factor (0 = stopped, 1 = full speed).
+   * @param {number} duration - Duration of a full 0–1 ramp in milliseconds. `0` applies the target instantly.
+   * @param {Function} [onComplete] - Called once the target is reached.
    */
-  pause() {
-    const wasPaused = this.isPaused;
-    this.isPaused = true;
+  rampSpeed(target, duration, onComplete) {
+    this.wake();
 
-    if (!wasPaused) {
-      this.dispatchEvent('animation-paused');
-    }
+    const scaledDuration = duration * Math.abs(target - this.speedFactor);
 
-    if (this.options.syncPause && window.__allCometMarqueeInstances) {
-      window.__allCometMarqueeInstances.forEach(inst => {
-        if (inst !== this) {
-          inst.isPaused = true;
-        }
-      });
+    if (!scaledDuration || !this.isAnimating) {
+      this.speedFactor = target;
+      this._ramp = null;
+      if (onComplete) onComplete();
+      return;
     }
+
+    this._ramp = {
+      from: this.speedFactor,
+      to: target,
+      start: this.now(),
+      duration: scaledDuration,
+      onComplete
+    };
   }
 
   /**
-   * Resumes the marquee animation.
+   * Returns the speed factor the marquee runs at while not paused.
+   * @returns {number} `hoverSpeed` while hover slow-down is active, otherwise 1.
    */
-  resume() {
-    // Early return if already running and content is set up
-    if (!this.isPaused && this.contentSetup && this.isAnimating) {
+  getRunningSpeedFactor() {
+    return this.isHoverSlowed ? this.options.hoverSpeed : 1;
+  }
+
+  /**
+   * Handles the pointer entering the container: slows down to `hoverSpeed` if set, otherwise pauses.
+   */
+  hoverEnter() {
+    if (this.options.hoverSpeed === null) {
+      this.dispatchEvent('hover-pause');
+      this.pause();
       return;
     }
 
-    this.calculateDimensions();
+    this.isHoverSlowed = true;
+    this.dispatchEvent('hover-slowdown', { hoverSpeed: this.options.hoverSpeed });
 
     /**
-     * Fix for resume/init race condition: if we should animate now but content wasn't setup
-     * (e.g. width was 0 initially), run setup.
+     * Ramps with the pause/resume durations, falling back to 300ms for a smooth transition.
      */
-    if (this.shouldAnimate && !this.contentSetup) {
-      if (this.options.develop) {
-        console.log(`[CometMarquee #${this.idx}] Resume: forcing content setup (width: ${this.contentWidth})`);
-      }
-      this.setupContent();
+    if (!this.isPaused) {
+      this.rampSpeed(this.options.hoverSpeed, this.options.pauseDuration || 300);
     }
+  }
 
-    if (!this.shouldAnimate) {
-      this.stop();
+  /**
+   * Handles the pointer leaving the container: recovers from `hoverSpeed` if set, otherwise resumes.
+   */
+  hoverLeave() {
+    if (this.options.hoverSpeed === null) {
+      this.dispatchEvent('hover-resume');
+      this.autoResume();
       return;
     }
 
-    const wasPaused = this.isPaused;
-    if (this.isPaused) {
-      this.isPaused = false;
-      this.lastTime = performance.now();
-      if (!this.isAnimating) {
-        this.isAnimating = true;
-        this.startAnimation();
-      } else if (wasPaused) {
-        this.dispatchEvent('animation-resumed');
-      }
-    }
+    this.isHoverSlowed = false;
+    this.dispatchEvent('hover-speedup');
 
-    if (this.options.syncPause && window.__allCometMarqueeInstances) {
-      window.__allCometMarqueeInstances.forEach(inst => {
-        if (inst !== this && inst.isPaused) {
-          inst.calculateDimensions();
-          if (inst.shouldAnimate) {
-            inst.isPaused = false;
-            inst.lastTime = performance.now();
-            if (!inst.isAnimating) {
-              inst.isAnimating = true;
-              inst.startAnimation();
-            }
-          }
-        }
-      });
+    if (!this.isPaused) {
+      this.rampSpeed(1, this.options.resumeDuration || 300);
     }
   }
 
   /**
-   * Stops the marquee animation completely.
+   * Advances the running speed ramp to the given frame time.
+   * @param {DOMHighResTimeStamp} currentTime - The frame time.
+   * @private
    */
-  stop() {
-    const wasAnimating = this.isAnimating;
-    this.isAnimating = false;
-    if (this.animationId) cancelAnimationFrame(this.animationId);
-    this.animationId = null;
+  updateRamp(currentTime) {
+    if (!this._ramp) return;
 
-    if (wasAnimating) {
-      this.dispatchEvent('animation-stopped');
+    const { from, to, start, duration, onComplete } = this._ramp;
+    const easing = typeof this.options.pauseEasing === 'function'
+        ? this.options.pauseEasing
+        : EASINGS[this.options.pauseEasing] || EASINGS['ease-in-out'];
+    const progress = Math.min(1, Math.max(0, (currentTime - start) / duration));
+
+    this.speedFactor = from + (to - from) * easing(progress);
+
+    if (progress >= 1) {
+      this.speedFactor = to;
+      this._ramp = null;
+      if (onComplete) onComplete();
     }
   }
 
   /**
-   * Recalculates dimensions, rebuilds clones, and restarts the animation.
+   * Returns the effective scrolling direction, taking `reverseOnScrollUp` into account.
+   * @returns {'forward'|'reverse'} The current direction.
    */
-  refresh() {
+  getDirection() {
+    const reverse = this.scrollDirection < 0 ? !this.options.reverse : this.options.reverse;
+    return reverse ? 'reverse' : 'forward';
+  }
+
+  /**
+   * Returns the automatic scrolling velocity along the translate axis in pixels per second,
+   * including the scroll boost. Negative values move content towards the start (forward),
+   * positive towards the end (reverse).
+   * @returns {number} The base velocity.
+   */
+  getBaseVelocity() {
+    const speed = this.options.speed + this.scrollBoostVelocity;
+    return this.getDirection() === 'reverse' ? speed : -speed;
+  }
+
+  /**
+   * Returns the range `currentTranslate` stays in for a seamless loop.
+   * Forward content wraps between -loopSize and 0,
+   * reverse content between the prepended clones and one period before them.
+   * @returns {{min: number, max: number, loopSize: number}} The translate range and loop period.
+   */
+  getTranslateRange() {
+    const loopSize = this.loopWidth || (this.contentWidth + this.options.gap);
+    const max = this.options.reverse ? -(this.prependWidth || 0) : 0;
+    return { min: max - loopSize, max, loopSize };
+  }
+
+  /**
+   * Returns how far (px) into the original item set the leading edge currently is, from 0 to `loopWidth`.
+   * Unlike `currentTranslate`, it doesn't depend on the direction or the clone layout.
+   * @returns {number} The loop offset.
+   */
+  getLoopOffset() {
+    const { loopSize } = this.getTranslateRange();
+    if (!this.contentSetup || !loopSize) return 0;
+
+    const offset = -this.currentTranslate - (this.prependWidth || 0);
+    return ((offset % loopSize) + loopSize) % loopSize;
+  }
+
+  /**
+   * Moves the leading edge to the given offset into the original item set, without dispatching events.
+   * @param {number} offset - The loop offset in pixels (wrapped into 0–`loopWidth`).
+   * @param {boolean} [deferWrite=false] - Leaves the transform to the frame's batched `flushTransform()`,
+   *   for frame steps, so no instance writes styles between the layout reads of others.
+   */
+  setLoopOffset(offset, deferWrite = false) {
+    const { loopSize } = this.getTranslateRange();
+    if (!this.contentSetup || !loopSize) return;
+
+    const wrapped = ((offset % loopSize) + loopSize) % loopSize;
+    this.currentTranslate = -(this.prependWidth || 0) - wrapped;
+    if (deferWrite) this.hasPendingTransform = true;
+    else this.applyTransform();
+  }
+
+  /**
+   * Captures which original item is at the leading edge and how far past its start the edge is,
+   * so the position can be restored after the clones are rebuilt.
+   * @returns {{item: HTMLElement, offset: number, order: HTMLElement[], progress: number}|null} The anchor, or null when nothing scrolls.
+   * @private
+   */
+  captureAnchor() {
+    if (!this.contentSetup || !this.loopWidth) return null;
+
+    const containerStart = this.getFlowEdges(this.container).start;
+
     /**
-     * CRITICAL: Prevents refresh loops by checking if refresh or initialization is already in progress.
+     * Reads the live DOM: after a mutation `this.items` may still list removed items.
      */
-    if (this.isRefreshing || this.isInitializing) {
-      if (this.options.develop) {
-        console.warn(`[CometMarquee #${this.idx}] Refresh blocked - already in progress`);
-      }
+    const leading = Array.from(this.content.children).find(el => this.getFlowEdges(el).end > containerStart);
+    const item = leading && (this.cloneSources.get(leading) || leading);
+    if (!item) return null;
+
+    return {
+      item,
+      offset: containerStart - this.getFlowEdges(leading).start,
+      order: this.items.slice(),
+      progress: this.getLoopOffset() / this.loopWidth
+    };
+  }
+
+  /**
+   * Restores a position captured with `captureAnchor()` on the rebuilt content.
+   * If the anchor item was removed, the next surviving item takes its place at the leading edge.
+   * @param {object|null} anchor - The captured anchor.
+   * @private
+   */
+  restoreAnchor(anchor) {
+    if (!anchor || !this.contentSetup || !this.items.length) return;
+
+    let { item, offset } = anchor;
+    if (!this.items.includes(item)) {
+      const index = anchor.order.indexOf(item);
+      const following = [...anchor.order.slice(index + 1), ...anchor.order.slice(0, Math.max(0, index))];
+      item = following.find(el => this.items.includes(el));
+      offset = 0;
+    }
+
+    if (!item) {
+      this.setLoopOffset(anchor.progress * this.loopWidth);
       return;
     }
 
-    this.isRefreshing = true;
-    this.dispatchEvent('refresh-start');
+    const itemStart = this.getFlowEdges(item).start - this.getFlowEdges(this.items[0]).start;
+    this.setLoopOffset(itemStart + offset);
+  }
 
-    this.stop();
-    this.items = Array.from(this.content.children).filter(c => !c.classList.contains('comet-marquee-clone'));
-    this.init();
+  /**
+   * Returns the normalized loop progress: how far the leading edge is into the original item set.
+   * @returns {number} Progress from 0 to 1.
+   */
+  getProgress() {
+    return this.contentSetup && this.loopWidth ? this.getLoopOffset() / this.loopWidth : 0;
+  }
 
-    this.dispatchEvent('refresh-complete');
+  /**
+   * Seeks to a normalized loop progress, taking the shortest path around the loop.
+   * @param {number} progress - Target progress from 0 to 1.
+   * @param {{behavior?: 'smooth'|'instant', duration?: number}} [seekOptions] - `instant` jumps, `smooth` (default) animates over `duration` ms (600).
+   * @returns {Promise<boolean>} Resolves with true once the seek finishes, false if it was interrupted or isn't possible.
+   */
+  setProgress(progress, seekOptions = {}) {
+    if (!this.contentSetup || !this.loopWidth) return Promise.resolve(false);
+    return this.seekToOffset(progress * this.loopWidth, seekOptions);
+  }
 
-    if (this._refreshingGuardTimeout) clearTimeout(this._refreshingGuardTimeout);
-    this._refreshingGuardTimeout = setTimeout(() => {
-      this.isRefreshing = false;
-      this._refreshingGuardTimeout = null;
-      if (this.options.develop) {
-        console.log(`[CometMarquee #${this.idx}] Refresh guard cleared`);
-      }
-    }, 500);
+  /**
+   * Seeks so an original item is at the start or centre of the viewport, taking the shortest path around the loop.
+   * @param {number} index - Index of the original item (wrapped, so -1 is the last item).
+   * @param {{align?: 'start'|'center', behavior?: 'smooth'|'instant', duration?: number}} [seekOptions] - Alignment (default `start`) and seek behavior as in `setProgress()`.
+   * @returns {Promise<boolean>} Resolves with true once the seek finishes, false if it was interrupted or isn't possible.
+   */
+  scrollToItem(index, { align = 'start', ...seekOptions } = {}) {
+    if (!this.contentSetup || !this.items.length) return Promise.resolve(false);
+
+    const count = this.items.length;
+    const item = this.items[((index % count) + count) % count];
+    const edges = this.getFlowEdges(item);
+
+    let offset = edges.start - this.getFlowEdges(this.items[0]).start;
+    if (align === 'center') {
+      offset += (edges.end - edges.start) / 2 - this.containerSize / 2;
+    }
+
+    return this.seekToOffset(offset, seekOptions);
   }
 
   /**
-   * Binds all necessary event listeners.
+   * Seeks the leading edge to a loop offset along the shortest path.
+   * @param {number} offset - Target loop offset in pixels.
+   * @param {{behavior?: 'smooth'|'instant', duration?: number}} [seekOptions] - Seek behavior.
+   * @returns {Promise<boolean>} Resolves once the seek finishes.
    * @private
    */
-  bindEvents() {
-    this.dispatchEvent('events-bound');
+  seekToOffset(offset, { behavior = 'smooth', duration = 600 } = {}) {
+    this.cancelSeek();
+    this.resetStep();
+    this.inertiaVelocity = 0;
 
-    const setupAdaptivePause = () => {
-      const desktop = window.innerWidth >= 1024;
-      this.container.removeEventListener('mouseenter', this._hoverPause);
-      this.container.removeEventListener('mouseleave', this._hoverResume);
-      this.container.removeEventListener('click', this._clickToggle);
-      document.removeEventListener('click', this._documentClick);
+    const loopSize = this.loopWidth;
+    const from = this.getLoopOffset();
+    let delta = (((offset - from) % loopSize) + loopSize) % loopSize;
+    if (delta > loopSize / 2) delta -= loopSize;
 
-      if (desktop) {
-        this._hoverPause = () => {
-          this.dispatchEvent('hover-pause');
-          this.pause();
-        };
-        this._hoverResume = () => {
-          this.dispatchEvent('hover-resume');
-          this.resume();
-        };
-        this.container.addEventListener('mouseenter', this._hoverPause);
-        this.container.addEventListener('mouseleave', this._hoverResume);
-      } else {
-        this._clickToggle = (e) => {
-          e.stopPropagation();
-          if (this.isPaused) {
-            this.dispatchEvent('click-resume');
-            this.resume();
-          } else {
-            this.dispatchEvent('click-pause');
-            this.pause();
-          }
-        };
-        this._documentClick = (e) => {
-          if (!this.container.contains(e.target) && this.isPaused) {
-            this.dispatchEvent('outside-click-resume');
-            this.resume();
-          }
-        };
-        this.container.addEventListener('click', this._clickToggle);
-        document.addEventListener('click', this._documentClick);
-      }
-    };
+    this.dispatchEvent('seek-start', { progress: (((from + delta) % loopSize) + loopSize) % loopSize / loopSize });
 
-    if (this.options.adaptivePause) {
-      setupAdaptivePause();
-      this._resizeHandler = () => {
-        this.dispatchEvent('adaptive-pause-resize');
-        setupAdaptivePause();
-      };
-      window.addEventListener('resize', this._resizeHandler);
-    } else {
-      if (this.options.pauseOnHover) {
-        this._hoverPause = () => {
-          this.dispatchEvent('hover-pause');
-          this.pause();
-        };
-        this._hoverResume = () => {
-          this.dispatchEvent('hover-resume');
-          this.resume();
-        };
-        this.container.addEventListener('mouseenter', this._hoverPause);
-        this.container.addEventListener('mouseleave', this._hoverResume);
-      }
-      if (this.options.pauseOnClick) {
-        this._clickToggle = (e) => {
-          e.stopPropagation();
-          if (this.isPaused) {
-            this.dispatchEvent('click-resume');
-            this.resume();
-          } else {
-            this.dispatchEvent('click-pause');
-            this.pause();
-          }
-        };
-        this._documentClick = (e) => {
-          if (!this.container.contains(e.target) && this.isPaused) {
-            this.dispatchEvent('outside-click-resume');
-            this.resume();
-          }
-        };
-        this.container.addEventListener('click', this._clickToggle);
-        document.addEventListener('click', this._documentClick);
-      }
+    /**
+     * Without a running loop there are no frames to animate on, so the seek jumps.
+     */
+    if (behavior === 'instant' || !duration || !this.isAnimating) {
+      this.setLoopOffset(from + delta);
+      this.dispatchEvent('seek-complete', { progress: this.getProgress() });
+      return Promise.resolve(true);
     }
 
-    if (this.options.pauseOnInvisible) {
-      this.io = new IntersectionObserver(entries => {
-        entries.forEach(entry => {
-          if (entry.isIntersecting) {
-            this.dispatchEvent('visibility-resume');
-            this.resume();
-          } else {
-            this.dispatchEvent('visibility-pause');
-            this.pause();
-          }
-        });
-      }, { threshold: 0.1, rootMargin: '0px' });
-      this.io.observe(this.container);
+    return new Promise(resolve => {
+      this._seek = { from, delta, start: this.now(), duration, resolve };
+      this.wake();
+    });
+  }
+
+  /**
+   * Advances the running seek to the given frame time.
+   * @param {DOMHighResTimeStamp} currentTime - The frame time.
+   * @private
+   */
+  updateSeek(currentTime) {
+    const { from, delta, start, duration, resolve } = this._seek;
+    const progress = Math.min(1, Math.max(0, (currentTime - start) / duration));
+
+    this.setLoopOffset(from + delta * EASINGS['ease-in-out'](progress), true);
+
+    if (progress >= 1) {
+      this._seek = null;
+      this.dispatchEvent('seek-complete', { progress: this.getProgress() });
+      resolve(true);
     }
+  }
 
-    /**
-     * CRITICAL FIX: Multi-layer ResizeObserver protection to prevent infinite loops.
-     */
-    this.ro = new ResizeObserver((entries) => {
-      const now = performance.now();
-      this.resizeObserverCallCount++;
+  /**
+   * Returns the loop offsets of the original items' start edges, the positions `scrollToItem()` seeks to.
+   * @returns {number[]} The offsets in pixels, in item order.
+   * @private
+   */
+  getItemOffsets() {
+    const origin = this.getFlowEdges(this.items[0]).start;
+    return this.items.map(item => this.getFlowEdges(item).start - origin);
+  }
 
-      /**
-       * Layer 1: Blocks during refresh/init to prevent cascading calls.
-       */
-      if (this.isRefreshing || this.isInitializing) {
-        if (this.options.develop) {
-          console.log(`[CometMarquee #${this.idx}] RO blocked - refreshing/initializing`);
-        }
-        return;
+  /**
+   * Advances step mode by a frame: moves the running slide, or counts the rest time and starts the next slide.
+   * The rest time advances with `speedFactor`, so a pause holds it and `hoverSpeed` stretches it.
+   * A slide that started runs to its end, also when paused meanwhile.
+   * @param {number} currentTime - The frame time.
+   * @param {number} dt - Elapsed time since the last frame in seconds.
+   * @private
+   */
+  updateStep(currentTime, dt) {
+    if (this._stepMove) {
+      const { from, delta, start, index } = this._stepMove;
+      const easing = typeof this.options.stepEasing === 'function'
+          ? this.options.stepEasing
+          : EASINGS[this.options.stepEasing] || EASINGS['ease-in-out'];
+      const progress = this.options.stepDuration > 0
+          ? Math.min(1, Math.max(0, (currentTime - start) / this.options.stepDuration))
+          : 1;
+
+      this.setLoopOffset(from + delta * easing(progress), true);
+
+      if (progress >= 1) {
+        this._stepMove = null;
+        this._stepElapsed = 0;
+        this.dispatchEvent('step-complete', { index });
       }
+      return;
+    }
 
-      /**
-       * Layer 2: Detects rapid-fire calls (likely a loop, less than 50ms = suspicious).
-       */
-      const timeSinceLastResize = now - this.lastResizeTimestamp;
-      if (timeSinceLastResize < 50) {
-        if (this.options.develop) {
-          console.warn(`[CometMarquee #${this.idx}] RO call too rapid (${timeSinceLastResize.toFixed(1)}ms) - ignoring`);
-        }
-        return;
-      }
-      this.lastResizeTimestamp = now;
+    /**
+     * Drag momentum settles first, the next step then realigns to an item.
+     */
+    if (this.inertiaVelocity || !this.itemOffsets || !this.loopWidth) return;
+
+    this._stepElapsed += dt * 1000 * this.speedFactor;
+    if (this._stepElapsed >= this.options.stepDwell) {
+      this.startStep(currentTime);
+    }
+  }
+
+  /**
+   * Starts sliding from the item closest to the leading edge to the next one in the scrolling direction.
+   * Dispatches 'step-start'.
+   * @param {number} currentTime - The frame time.
+   * @private
+   */
+  startStep(currentTime) {
+    const loopSize = this.loopWidth;
+    const from = this.getLoopOffset();
+    const offsets = this.itemOffsets;
+    const distance = offset => {
+      const d = (((offset - from) % loopSize) + loopSize) % loopSize;
+      return Math.min(d, loopSize - d);
+    };
+
+    let current = 0;
+    offsets.forEach((offset, i) => {
+      if (distance(offset) < distance(offsets[current])) current = i;
+    });
+
+    const count = this.items.length;
+    const sign = this.getDirection() === 'reverse' ? -1 : 1;
+    const index = (((current + sign) % count) + count) % count;
+
+    /**
+     * Always travels in the scrolling direction, a whole loop when there is a single item.
+     */
+    let delta = (((offsets[index] - from) % loopSize) + loopSize) % loopSize;
+    if (sign < 0) delta -= loopSize;
+    if (sign > 0 && delta < 0.5) delta += loopSize;
+
+    this._stepMove = { from, delta, start: currentTime, index };
+    this.dispatchEvent('step-start', { index, previousIndex: current });
+  }
+
+  /**
+   * Drops the running step slide and restarts the rest time, e.g. when a seek or drag takes over.
+   * @private
+   */
+  resetStep() {
+    this._stepMove = null;
+    this._stepElapsed = 0;
+  }
+
+  /**
+   * Cancels a running seek, resolving its promise with false.
+   */
+  cancelSeek() {
+    if (!this._seek) return;
+
+    const { resolve } = this._seek;
+    this._seek = null;
+    this.dispatchEvent('seek-cancelled', { progress: this.getProgress() });
+    resolve(false);
+  }
+
+  /**
+   * Wraps `currentTranslate` back into the seamless loop range in both directions,
+   * using the stored `loopWidth` and `prependWidth` from `setupContent()`.
+   * Dispatches 'animation-cycle' for every wrapped period.
+   */
+  wrapTranslate() {
+    const { min, max, loopSize } = this.getTranslateRange();
+    if (!loopSize) return;
+
+    while (this.currentTranslate <= min) {
+      this.currentTranslate += loopSize;
+      this.dispatchEvent('animation-cycle', { direction: 'forward' });
+    }
+    while (this.currentTranslate > max) {
+      this.currentTranslate -= loopSize;
+      this.dispatchEvent('animation-cycle', { direction: 'reverse' });
+    }
+  }
+
+  /**
+   * Writes `currentTranslate` to the content transform along the scrolling axis.
+   * With the `waapi` renderer the Web Animation is moved to the matching time instead.
+   */
+  applyTransform() {
+    if (this.itemIo && this.options.activeItem) this.requestActiveCheck();
+
+    if (this.waapi) {
+      const { sign, from, duration } = this._waapiState;
+      const fraction = ((this.currentTranslate - from) * sign) / this.loopWidth;
+      this.waapi.currentTime = fraction * duration;
+      this._waapiState.iteration = Math.floor(fraction);
+      return;
+    }
+
+    if (this.recycleNodes) {
+      this.recycle();
+      this.content.style.transform = this.getTransform(this.currentTranslate + this.recycleOffset);
+      return;
+    }
+
+    this.content.style.transform = this.getTransform(this.currentTranslate);
+  }
+
+  /**
+   * Moves the nodes of the `recycle` mode that left the container to the other end, so they cover it again.
+   * Shifting `recycleOffset` by whole loops only relabels the nodes as another repetition of the same
+   * items, so wrapping and seeking need no DOM changes.
+   * Moving a node drops focus inside it, so focus is put back. Iframes and media inside moved nodes reload.
+   * @private
+   */
+  recycle() {
+    const nodes = this.recycleNodes;
+    const { gap } = this.options;
+    const scrolled = -this.currentTranslate;
+    const focused = this.content.contains(document.activeElement) ? document.activeElement : null;
+
+    this.recycleOffset += Math.round((scrolled - this.recycleOffset) / this.loopWidth) * this.loopWidth;
+
+    while (scrolled < this.recycleOffset) {
+      const node = nodes.pop();
+      this.content.insertBefore(node.el, this.content.firstChild);
+      nodes.unshift(node);
+      this.recycleOffset -= node.size + gap;
+    }
+    while (scrolled >= this.recycleOffset + nodes[0].size + gap) {
+      const node = nodes.shift();
+      this.content.appendChild(node.el);
+      nodes.push(node);
+      this.recycleOffset += node.size + gap;
+    }
+
+    if (focused && document.activeElement !== focused) focused.focus({ preventScroll: true });
+  }
+
+  /**
+   * Removes the clones and puts the originals back in `items` order after recycling moved them.
+   * Items inserted in between stay in front of the original that followed them.
+   * @private
+   */
+  restoreItemOrder() {
+    if (!this.recycleNodes) return;
+    this.recycleNodes = null;
+    this.recycleOffset = 0;
+
+    this.content.querySelectorAll('.comet-marquee-clone').forEach(n => n.remove());
+
+    const inserted = new Map();
+    let pending = [];
+    Array.from(this.content.children).forEach(el => {
+      if (this.items.includes(el)) {
+        inserted.set(el, pending);
+        pending = [];
+      } else {
+        pending.push(el);
+      }
+    });
+
+    this.items
+        .filter(item => inserted.has(item))
+        .flatMap(item => [...inserted.get(item), item])
+        .concat(pending)
+        .forEach(el => this.content.appendChild(el));
+  }
+
+  /**
+   * Returns the transform for a translation along the scrolling axis.
+   * @param {number} translate - The translation in pixels.
+   * @returns {string} The CSS transform.
+   * @private
+   */
+  getTransform(translate) {
+    if (this.isVertical) return `translate3d(0,${translate}px,0)`;
+    return `translate3d(${this.isRtl ? -translate : translate}px,0,0)`;
+  }
+
+  /**
+   * Starts the `waapi` renderer: one linear pass over `loopWidth` repeated forever, started at the
+   * current position. Steady motion then runs on the compositor, JS only adjusts the playback rate.
+   * @param {number} sign - Direction of the pass: -1 moves forward, 1 in reverse.
+   * @private
+   */
+  startWaapi(sign) {
+    this.stopWaapi();
+
+    const { min, max, loopSize } = this.getTranslateRange();
+    const from = sign < 0 ? max : min;
+    const duration = (loopSize / this.options.speed) * 1000;
+
+    this.waapi = this.content.animate([
+      { transform: this.getTransform(from) },
+      { transform: this.getTransform(from + sign * loopSize) }
+    ], { duration, iterations: Infinity, easing: 'linear' });
+
+    this._waapiState = { sign, from, duration, speed: this.options.speed, rate: 0, iteration: 0 };
+    this.waapi.playbackRate = 0;
+    this.applyTransform();
+  }
+
+  /**
+   * Cancels the `waapi` renderer, leaving its last position in the inline transform.
+   * @private
+   */
+  stopWaapi() {
+    if (!this.waapi) return;
+
+    this.syncFromWaapi();
+    this.waapi.cancel();
+    this.waapi = null;
+    this._waapiState = null;
+    this.applyTransform();
+  }
+
+  /**
+   * Reads `currentTranslate` back from the Web Animation, dispatching 'animation-cycle' for passed iterations.
+   * @private
+   */
+  syncFromWaapi() {
+    const state = this._waapiState;
+    const time = this.waapi.currentTime || 0;
+    const iteration = Math.floor(time / state.duration);
+
+    this.currentTranslate = state.from + state.sign * this.loopWidth * ((time % state.duration) / state.duration);
+
+    for (; state.iteration < iteration; state.iteration++) {
+      this.dispatchEvent('animation-cycle', { direction: state.sign < 0 ? 'forward' : 'reverse' });
+    }
+    state.iteration = iteration;
+  }
+
+  /**
+   * Maps the frame velocity onto the Web Animation's playback rate. Direction and `speed` changes
+   * restart the animation at the current position, as they change its keyframes or duration.
+   * @param {number} velocity - The velocity in px/s, 0 while a seek or drag owns the position.
+   * @private
+   */
+  renderWaapi(velocity) {
+    this.syncFromWaapi();
+
+    const sign = Math.sign(velocity);
+    if ((sign && sign !== this._waapiState.sign) || this._waapiState.speed !== this.options.speed) {
+      if (this.options.speed <= 0) {
+        this.stopWaapi();
+        return;
+      }
+      this.startWaapi(sign || this._waapiState.sign);
+    }
+
+    const rate = Math.abs(velocity) / this.options.speed;
+    if (rate !== this._waapiState.rate) {
+      this._waapiState.rate = rate;
+      if (this.waapi.updatePlaybackRate) this.waapi.updatePlaybackRate(rate);
+      else this.waapi.playbackRate = rate;
+    }
+  }
+
+  /**
+   * Steps the animation by one frame, called by the shared frame scheduler or `tick()`.
+   * Moves are written in the scheduler's batch, and the instance unsubscribes once nothing moves.
+   * @param {DOMHighResTimeStamp} currentTime - The frame timestamp.
+   * @private
+   */
+  animate(currentTime) {
+    if (!this.isAnimating) {
+      frameScheduler.remove(this);
+      return;
+    }
+
+    /**
+     * The frame timestamp can precede a `lastTime` taken with `performance.now()` in the same frame.
+     */
+    const dt = this.lastTime === null ? 0 : Math.max(0, currentTime - this.lastTime) / 1000;
+    this.lastTime = currentTime;
+
+    /**
+     * The compositor moves the `waapi` content without `applyTransform()`, so the active item is checked per frame.
+     */
+    if (this.waapi && this.itemIo && this.options.activeItem) this.requestActiveCheck();
+
+    this.updateRamp(currentTime);
+
+    /**
+     * Scroll boost decays towards the base speed.
+     */
+    if (this.scrollBoostVelocity) {
+      this.scrollBoostVelocity *= Math.pow(this.options.scrollBoostFriction, dt * 60);
+      if (this.scrollBoostVelocity < 1) {
+        this.scrollBoostVelocity = 0;
+        this.dispatchEvent('scroll-boost-end');
+      }
+    }
+
+    /**
+     * A seek or a drag owns the position, so the loop only keeps ticking.
+     */
+    let velocity = 0;
+    if (this._seek) {
+      this.updateSeek(currentTime);
+    } else if (!this.isDragging) {
+      velocity = this.options.step
+          ? this.inertiaVelocity
+          : this.getBaseVelocity() * this.speedFactor + this.inertiaVelocity;
+
+      if (this.options.step) this.updateStep(currentTime, dt);
+
+      /**
+       * Release momentum decays towards the base speed (or to a stop when paused).
+       */
+      if (this.inertiaVelocity) {
+        this.inertiaVelocity *= Math.pow(this.options.dragFriction, dt * 60);
+        if (Math.abs(this.inertiaVelocity) < 1) this.inertiaVelocity = 0;
+      }
+
+      if (velocity && !this.waapi) {
+        this.currentTranslate += velocity * dt;
+        this.wrapTranslate();
+        this.hasPendingTransform = true;
+      }
+    }
+
+    if (this.waapi) this.renderWaapi(velocity);
+
+    /**
+     * Settled in a pause: `wake()` subscribes again once a ramp, seek, drag or boost needs frames.
+     */
+    if (!this.speedFactor && !this._ramp && !this._seek && !this._stepMove && !this.isDragging && !this.inertiaVelocity && !this.scrollBoostVelocity) {
+      frameScheduler.remove(this);
+    }
+  }
+
+  /**
+   * Returns the instances that follow this instance's pause and resume:
+   * every instance on the page with `syncPause`, otherwise the sibling lanes with `syncLanes`.
+   * @returns {CometMarqueeInstance[]} The other instances.
+   * @private
+   */
+  getPausePeers() {
+    if (this.options.syncPause && window.__allCometMarqueeInstances) {
+      return window.__allCometMarqueeInstances.filter(inst => inst !== this);
+    }
+    if (this.options.syncLanes && this.lanes) {
+      return this.lanes.filter(inst => inst !== this);
+    }
+    return [];
+  }
+
+  /**
+   * Pauses the marquee animation.
+   */
+  pause() {
+    const wasPaused = this.isPaused;
+    this.isPaused = true;
+
+    if (!wasPaused) {
+      /**
+       * With `pauseDuration` the speed ramps down first, 'animation-paused' fires once stopped.
+       */
+      if (this.options.pauseDuration && this.isAnimating) {
+        this.dispatchEvent('animation-pausing', { duration: this.options.pauseDuration });
+      }
+      this.rampSpeed(0, this.options.pauseDuration, () => this.dispatchEvent('animation-paused'));
+    }
+
+    this.getPausePeers().forEach(inst => {
+      if (!inst.isPaused) {
+        inst.isPaused = true;
+        inst.rampSpeed(0, inst.options.pauseDuration);
+      }
+    });
+  }
+
+  /**
+   * Resumes the marquee animation.
+   * Also lifts a pause requested with the pause button. A pause held by keyboard focus
+   * is kept until focus leaves the container.
+   */
+  resume() {
+    if (this.isUserPaused) {
+      this.isUserPaused = false;
+      this.updatePauseButton();
+    }
+    this.autoResume();
+  }
+
+  /**
+   * Resumes after an automatic pause (hover, click, visibility, sync).
+   * A pause requested with the pause button or held by keyboard focus wins.
+   * @private
+   */
+  autoResume() {
+    if (this.isUserPaused || this.isFocusPaused) return;
+
+    /**
+     * Before the deferred layout only the state changes, the layout starts the animation.
+     */
+    if (this.isLayoutDeferred) {
+      this.isPaused = false;
+      return;
+    }
+
+    // Early return if already running and content is set up
+    if (!this.isPaused && this.contentSetup && this.isAnimating) {
+      return;
+    }
+
+    this.calculateDimensions();
+
+    /**
+     * Fix for resume/init race condition: if we should animate now but content wasn't setup
+     * (e.g. width was 0 initially), run setup.
+     */
+    if (this.shouldAnimate && !this.contentSetup) {
+      if (this.options.develop) {
+        console.log(`[CometMarquee #${this.idx}] Resume: forcing content setup (width: ${this.contentWidth})`);
+      }
+      this.setupContent();
+    }
+
+    if (!this.shouldAnimate) {
+      this.stop();
+      return;
+    }
+
+    const wasPaused = this.isPaused;
+    if (this.isPaused) {
+      this.isPaused = false;
+      this.lastTime = this.now();
+      if (!this.isAnimating) {
+        this.isAnimating = true;
+        this.startAnimation();
+      } else if (wasPaused) {
+        /**
+         * With `resumeDuration` the speed ramps up first, 'animation-resumed' fires at full speed.
+         */
+        if (this.options.resumeDuration) {
+          this.dispatchEvent('animation-resuming', { duration: this.options.resumeDuration });
+        }
+        this.rampSpeed(this.getRunningSpeedFactor(), this.options.resumeDuration, () => this.dispatchEvent('animation-resumed'));
+      }
+    }
+
+    this.getPausePeers().forEach(inst => {
+      if (inst.isPaused && !inst.isUserPaused && !inst.isFocusPaused && !inst.isLayoutDeferred) {
+        inst.calculateDimensions();
+        if (inst.shouldAnimate) {
+          inst.isPaused = false;
+          inst.lastTime = inst.now();
+          if (!inst.isAnimating) {
+            inst.isAnimating = true;
+            inst.startAnimation();
+          } else {
+            inst.rampSpeed(inst.getRunningSpeedFactor(), inst.options.resumeDuration);
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * Stops the marquee animation completely.
+   */
+  stop() {
+    this.cancelSeek();
+    this.resetStep();
+
+    const wasAnimating = this.isAnimating;
+    this.isAnimating = false;
+    this.hasPendingTransform = false;
+    frameScheduler.remove(this);
+    this.stopWaapi();
+
+    if (wasAnimating) {
+      this.dispatchEvent('animation-stopped');
+    }
+  }
+
+  /**
+   * Recalculates dimensions, rebuilds clones, and restarts the animation,
+   * keeping the item at the leading edge in place.
+   */
+  refresh() {
+    /**
+     * CRITICAL: Prevents refresh loops by checking if refresh or initialization is already in progress.
+     */
+    if (this.isRefreshing || this.isInitializing) {
+      if (this.options.develop) {
+        console.warn(`[CometMarquee #${this.idx}] Refresh blocked - already in progress`);
+      }
+      return;
+    }
+
+    this.isRefreshing = true;
+    this.dispatchEvent('refresh-start');
+
+    const anchor = this.captureAnchor();
+
+    this.stop();
+    this.restoreItemOrder();
+    this.items = Array.from(this.content.children).filter(c => !c.classList.contains('comet-marquee-clone'));
+    this.init();
+    this.restoreAnchor(anchor);
+
+    this.dispatchEvent('refresh-complete');
+
+    if (this._refreshingGuardTimeout) clearTimeout(this._refreshingGuardTimeout);
+    this._refreshingGuardTimeout = setTimeout(() => {
+      this.isRefreshing = false;
+      this._refreshingGuardTimeout = null;
+      if (this.options.develop) {
+        console.log(`[CometMarquee #${this.idx}] Refresh guard cleared`);
+      }
+    }, 500);
+  }
+
+  /**
+   * Rebuilds dimensions and clones like `refresh()`, also keeping the pause state.
+   * @param {object|null} [anchor] - Position to restore, captured with `captureAnchor()` before the items changed.
+   * @private
+   */
+  rebuild(anchor = this.captureAnchor()) {
+    const { isPaused, speedFactor, _ramp: ramp } = this;
+
+    this.stop();
+    this.content.style.width = '';
+    this.content.style.height = '';
+    this.restoreItemOrder();
+    this.items = Array.from(this.content.children).filter(c => !c.classList.contains('comet-marquee-clone'));
+    this.init();
+    this.restoreAnchor(anchor);
+
+    if (isPaused && this.isAnimating) {
+      this.isPaused = true;
+      this.speedFactor = speedFactor;
+      this._ramp = ramp;
+    }
+  }
+
+  /**
+   * Updates options at runtime, applying each change in the cheapest way:
+   * speeds and durations apply in place, only the affected handlers are rebound,
+   * and clones are only rebuilt for layout options. The current position is kept.
+   * While a breakpoint matches, its options keep winning over the ones set here.
+   * Dispatches 'options-changed'.
+   * @param {CometMarqueeOptions} partial - The options to change.
+   */
+  setOptions(partial = {}) {
+    this.baseOptions = { ...this.baseOptions, ...partial };
+    this.applyBreakpoints(partial);
+  }
+
+  /**
+   * Returns the keys of the breakpoints whose media query matches.
+   * @param {Object<string, CometMarqueeOptions>|null} [breakpoints] - The `breakpoints` option.
+   * @returns {string[]} The matching keys, in the order they apply.
+   * @private
+   */
+  getMatchingBreakpoints(breakpoints = this.options.breakpoints) {
+    if (!breakpoints || !window.matchMedia) return [];
+    return Object.keys(breakpoints).filter(key => window.matchMedia(toMediaQuery(key)).matches);
+  }
+
+  /**
+   * Merges the options of breakpoints, leaving out `breakpoints` and `lanes`.
+   * @param {string[]} keys - The breakpoint keys, in the order they apply.
+   * @param {Object<string, CometMarqueeOptions>|null} [breakpoints] - The `breakpoints` option.
+   * @returns {CometMarqueeOptions} The merged options.
+   * @private
+   */
+  getBreakpointOptions(keys, breakpoints = this.options.breakpoints) {
+    const merged = {};
+    keys.forEach(key => {
+      Object.keys(breakpoints[key] || {})
+          .filter(option => option !== 'breakpoints' && option !== 'lanes')
+          .forEach(option => { merged[option] = breakpoints[key][option]; });
+    });
+    return merged;
+  }
+
+  /**
+   * Re-matches the breakpoints and applies the resulting options with `partial`: options of breakpoints
+   * that stopped matching fall back to `baseOptions`, matching ones override. Only changed options are
+   * re-applied. Dispatches 'breakpoint-change' when the matching breakpoints changed.
+   * @param {CometMarqueeOptions} [partial] - Options changed with `setOptions()`.
+   * @private
+   */
+  applyBreakpoints(partial = {}) {
+    const breakpoints = ('breakpoints' in partial ? partial.breakpoints : this.options.breakpoints) || null;
+    const previous = this.activeBreakpoints;
+    const previousOverrides = this.getBreakpointOptions(previous);
+
+    this.activeBreakpoints = this.getMatchingBreakpoints(breakpoints);
+
+    const next = { ...partial };
+    Object.keys(previousOverrides).forEach(key => { next[key] = this.baseOptions[key]; });
+    Object.assign(next, this.getBreakpointOptions(this.activeBreakpoints, breakpoints));
+
+    const changed = this.applyOptions(next);
+
+    if (!isSameOption(previous, this.activeBreakpoints)) {
+      this.dispatchEvent('breakpoint-change', { breakpoints: this.activeBreakpoints, previous, changed });
+    }
+  }
+
+  /**
+   * Merges options into the current ones and re-applies the changed ones.
+   * @param {CometMarqueeOptions} partial - The options to change.
+   * @returns {string[]} The names of the changed options.
+   * @private
+   */
+  applyOptions(partial) {
+    /**
+     * The anchor is read while the layout, the `data-vertical` attribute and the axis still match the previous options.
+     */
+    const anchor = this.captureAnchor();
+    const previous = this.options;
+    this.options = this.normalizeOptions({ ...previous, ...partial });
+
+    const changed = Object.keys(partial).filter(key => key in this.options && !isSameOption(this.options[key], previous[key]));
+    if (!changed.length) return changed;
+    const has = (...keys) => keys.some(key => changed.includes(key));
+    const switchedOff = (...keys) => keys.some(key => changed.includes(key) && !this.options[key]);
+
+    if (has('breakpoints')) {
+      this.unbindBreakpoints();
+      if (this.options.breakpoints) this.bindBreakpoints();
+    }
+
+    if (has('pauseOnHover', 'pauseOnClick', 'adaptivePause', 'hoverSpeed')) {
+      this.unbindPauseHandlers();
+      this.bindPauseHandlers();
+
+      if (has('hoverSpeed') && this.isHoverSlowed) {
+        if (this.options.hoverSpeed === null) this.isHoverSlowed = false;
+        if (!this.isPaused) this.rampSpeed(this.getRunningSpeedFactor(), this.options.resumeDuration || 300);
+      }
+
+      /**
+       * The handler that would lift a hover or click pause is gone. Button and focus pauses are kept.
+       */
+      if (switchedOff('pauseOnHover', 'pauseOnClick', 'adaptivePause') && this.isPaused) this.autoResume();
+    }
+
+    if (has('draggable')) {
+      this.unbindDrag();
+      if (this.options.draggable) this.bindDrag();
+    }
+
+    if (has('scrollBoost', 'reverseOnScrollUp')) {
+      this.unbindScrollBoost();
+      if (!this.options.reverseOnScrollUp) this.scrollDirection = 1;
+      if (this.options.scrollBoost || this.options.reverseOnScrollUp) this.bindScrollBoost();
+    }
+
+    if (has('pauseOnFocus', 'keyboardNavigation')) {
+      const wasFocusPaused = this.isFocusPaused;
+      this.unbindKeyboard();
+      if (this.options.pauseOnFocus || this.options.keyboardNavigation) this.bindKeyboard();
+
+      this.isFocusPaused = wasFocusPaused && this.options.pauseOnFocus;
+      if (wasFocusPaused && !this.isFocusPaused) this.autoResume();
+    }
+
+    if (has('observeMutations')) {
+      this.unbindMutations();
+      if (this.options.observeMutations) this.bindMutations();
+    }
+
+    if (has('observeItemResize') && this.isReady) {
+      this.unbindItemResize();
+      if (this.options.observeItemResize) this.bindItemResize();
+    }
+
+    if (has('activeItem', 'trackVisibility')) {
+      this.unbindItemTracking();
+      if (this.options.activeItem || this.options.trackVisibility) this.bindItemTracking();
+    }
+
+    if (has('pauseOnInvisible')) {
+      this.unbindIntersection();
+      if (this.options.pauseOnInvisible) this.bindIntersection();
+      else if (this.isPaused) this.autoResume();
+    }
+
+    if (has('role', 'ariaLabel', 'keyboardNavigation', 'pauseButton', 'pauseButtonLabels')) {
+      this.removeAccessibility();
+      this.applyAccessibility();
+
+      /**
+       * Without the button there is no way to lift a pause requested with it.
+       */
+      if (!this.options.pauseButton && this.isUserPaused) {
+        this.isUserPaused = false;
+        this.resume();
+      }
+    }
+
+    if (has('vertical', 'height', 'direction')) {
+      this.container.removeAttribute('data-vertical');
+      this.container.style.removeProperty('--comet-marquee-height');
+      this.applyAxis();
+      this.lastContainerRectWidth = 0;
+    }
+
+    if (has('fullWidth', 'vertical')) {
+      this.removeFullSize();
+    }
+
+    if (has('gap', 'repeatCount', 'reverse', 'vertical', 'height', 'fullWidth', 'forceAnimation', 'forceAnimationWidth', 'renderer', 'autoplay', 'recycle', 'step', 'direction')) {
+      this.rebuild(anchor);
+    } else if (has('fadeEdges')) {
+      this.applyFadeEdges();
+    }
+
+    this.dispatchEvent('options-changed', { changed, previous });
+    return changed;
+  }
+
+  /**
+   * Listens to the media queries of the `breakpoints` option.
+   * @private
+   */
+  bindBreakpoints() {
+    if (!window.matchMedia) return;
+    this._breakpointHandler = () => this.applyBreakpoints();
+    this._breakpointQueries = Object.keys(this.options.breakpoints).map(key => window.matchMedia(toMediaQuery(key)));
+    this._breakpointQueries.forEach(mql => {
+      if (mql.addEventListener) mql.addEventListener('change', this._breakpointHandler);
+    });
+  }
+
+  /**
+   * Stops listening to the breakpoint media queries.
+   * @private
+   */
+  unbindBreakpoints() {
+    this._breakpointQueries.forEach(mql => {
+      if (mql.removeEventListener) mql.removeEventListener('change', this._breakpointHandler);
+    });
+    this._breakpointQueries = [];
+    this._breakpointHandler = null;
+  }
+
+  /**
+   * Binds all necessary event listeners.
+   * @private
+   */
+  bindEvents() {
+    this.dispatchEvent('events-bound');
+
+    this.bindPauseHandlers();
+
+    if (this.options.draggable) {
+      this.bindDrag();
+    }
+
+    if (this.options.scrollBoost || this.options.reverseOnScrollUp) {
+      this.bindScrollBoost();
+    }
+
+    if (this.options.pauseOnFocus || this.options.keyboardNavigation) {
+      this.bindKeyboard();
+    }
+
+    if (this.options.observeMutations) {
+      this.bindMutations();
+    }
+
+    if (this.options.pauseOnInvisible) {
+      this.bindIntersection();
+    }
+
+    if (this.options.activeItem || this.options.trackVisibility) {
+      this.bindItemTracking();
+    }
+
+    if (this.options.breakpoints) {
+      this.bindBreakpoints();
+    }
+
+    this.bindResize();
+
+    this._orientationChangeHandler = () => {
+      this.dispatchEvent('orientation-change');
+      if (this._orientationTimeout) clearTimeout(this._orientationTimeout);
+      this._orientationTimeout = setTimeout(() => {
+        this._orientationTimeout = null;
+        this.applyFadeEdges();
+        this.refresh();
+      }, 200);
+    };
+    window.addEventListener('orientationchange', this._orientationChangeHandler);
+
+    this._fadeEdgesResizeHandler = () => {
+      this.applyFadeEdges();
+    };
+    window.addEventListener('resize', this._fadeEdgesResizeHandler);
+
+    this._visibilityHandler = () => {
+      if (document.visibilityState === 'visible') {
+        if (this.options.pauseOnInvisible) {
+          this.dispatchEvent('document-visible');
+          this.autoResume();
+        }
+      } else if (this.options.pauseOnInvisible) {
+        this.dispatchEvent('document-hidden');
+        this.pause();
+      }
+    };
+    document.addEventListener('visibilitychange', this._visibilityHandler);
+
+    if (!window.matchMedia) return;
+    const mql = window.matchMedia('(prefers-reduced-motion: reduce)');
+    this._motionChangeHandler = () => {
+      if (mql.matches) {
+        this.dispatchEvent('reduced-motion-on');
+        this.pause();
+      } else {
+        this.dispatchEvent('reduced-motion-off');
+        this.autoResume();
+      }
+    };
+    if (mql.matches) this.pause();
+    if (mql.addEventListener) {
+      mql.addEventListener('change', this._motionChangeHandler);
+    }
+  }
+
+  /**
+   * Observes the container size and refreshes when it changes.
+   * Skipped where `ResizeObserver` is missing, the orientation handler still refreshes.
+   * @private
+   */
+  bindResize() {
+    if (!window.ResizeObserver) return;
+
+    /**
+     * CRITICAL FIX: Multi-layer ResizeObserver protection to prevent infinite loops.
+     */
+    this.ro = new ResizeObserver((entries) => {
+      const now = performance.now();
+      this.resizeObserverCallCount++;
+
+      /**
+       * Layer 1: Blocks during refresh/init to prevent cascading calls.
+       */
+      if (this.isRefreshing || this.isInitializing) {
+        if (this.options.develop) {
+          console.log(`[CometMarquee #${this.idx}] RO blocked - refreshing/initializing`);
+        }
+        return;
+      }
+
+      /**
+       * Layer 2: Detects rapid-fire calls (likely a loop, less than 50ms = suspicious).
+       */
+      const timeSinceLastResize = now - this.lastResizeTimestamp;
+      if (timeSinceLastResize < 50) {
+        if (this.options.develop) {
+          console.warn(`[CometMarquee #${this.idx}] RO call too rapid (${timeSinceLastResize.toFixed(1)}ms) - ignoring`);
+        }
+        return;
+      }
+      this.lastResizeTimestamp = now;
+
+      /**
+       * Layer 3: Detects excessive calls (prevents runaway loops).
+       */
+      if (this.resizeObserverCallCount > 100) {
+        console.error(`[CometMarquee #${this.idx}] ResizeObserver loop detected! Disconnecting to prevent crash.`);
+        this.ro.disconnect();
+        return;
+      }
+
+      /**
+       * Layer 4: Checks window size change (real resize vs internal).
+       */
+      const currentWindowSize = this.isVertical ? window.innerHeight : window.innerWidth;
+      const windowSizeChanged = currentWindowSize !== this.lastWindowWidth;
+
+      /**
+       * Layer 5: Checks container size change (width for horizontal, height for vertical).
+       */
+      let hasContainerSizeChanged = false;
+      for (const entry of entries) {
+        const currentSize = Math.round(this.isVertical ? entry.contentRect.height : entry.contentRect.width);
+
+        if (this.lastContainerRectWidth === 0) {
+          this.lastContainerRectWidth = currentSize;
+          if (this.options.develop) {
+            console.log(`[CometMarquee #${this.idx}] Initial ${this.isVertical ? 'height' : 'width'}: ${currentSize}px`);
+          }
+          return;
+        }
+
+        const sizeDiff = Math.abs(currentSize - this.lastContainerRectWidth);
+
+        /**
+         * Layer 6: Ignores micro-changes (less than 5px).
+         */
+        if (sizeDiff < 5) {
+          if (this.options.develop) {
+            console.log(`[CometMarquee #${this.idx}] Size change too small (${sizeDiff}px) - ignoring`);
+          }
+          return;
+        }
+
+        /**
+         * Layer 7: Only processes if window actually resized OR container changed significantly.
+         */
+        if (!windowSizeChanged && sizeDiff < 10) {
+          if (this.options.develop) {
+            console.log(`[CometMarquee #${this.idx}] Internal size change without window resize - ignoring`);
+          }
+          return;
+        }
+
+        if (this.options.develop) {
+          console.log(`[CometMarquee #${this.idx}] ${this.isVertical ? 'Height' : 'Width'}: ${this.lastContainerRectWidth}px → ${currentSize}px (window: ${windowSizeChanged})`);
+        }
+
+        this.lastContainerRectWidth = currentSize;
+        hasContainerSizeChanged = true;
+      }
+
+      if (!hasContainerSizeChanged && !windowSizeChanged) {
+        return;
+      }
+
+      /**
+       * Updates window size tracker.
+       */
+      this.lastWindowWidth = currentWindowSize;
+
+      this.dispatchEvent('container-resized');
+      this.applyFadeEdges();
+
+      /**
+       * Layer 8: Aggressive debounce (increased to 300ms).
+       */
+      if (this._refreshTimeout) clearTimeout(this._refreshTimeout);
+      this._refreshTimeout = setTimeout(() => {
+        this.resizeObserverCallCount = 0;
+        this.refresh();
+      }, 300);
+    });
+
+    this.ro.observe(this.container);
+  }
+
+  /**
+   * Binds the hover and click pause handlers (`pauseOnHover`, `hoverSpeed`, `pauseOnClick`, `adaptivePause`).
+   * @private
+   */
+  bindPauseHandlers() {
+    const setupAdaptivePause = () => {
+      const desktopWidth = typeof this.options.adaptivePause === 'number' ? this.options.adaptivePause : ADAPTIVE_PAUSE_WIDTH;
+      const desktop = window.innerWidth >= desktopWidth;
+      if (desktop === this._adaptiveDesktop) return;
+
+      /**
+       * Leaving desktop mode while hovered, no mouseleave would lift the hover slow-down.
+       */
+      if (this._adaptiveDesktop && this.isHoverSlowed) this.hoverLeave();
+      this._adaptiveDesktop = desktop;
+
+      this.container.removeEventListener('mouseenter', this._hoverPause);
+      this.container.removeEventListener('mouseleave', this._hoverResume);
+      this.container.removeEventListener('click', this._clickToggle);
+      document.removeEventListener('click', this._documentClick);
+
+      if (desktop) {
+        this._hoverPause = () => this.hoverEnter();
+        this._hoverResume = () => this.hoverLeave();
+        this.container.addEventListener('mouseenter', this._hoverPause);
+        this.container.addEventListener('mouseleave', this._hoverResume);
+      } else {
+        this._clickToggle = (e) => {
+          e.stopPropagation();
+          if (this.isPaused) {
+            this.dispatchEvent('click-resume');
+            this.autoResume();
+          } else {
+            this.dispatchEvent('click-pause');
+            this.pause();
+          }
+        };
+        this._documentClick = (e) => {
+          if (!this.container.contains(e.target) && this.isPaused) {
+            this.dispatchEvent('outside-click-resume');
+            this.autoResume();
+          }
+        };
+        this.container.addEventListener('click', this._clickToggle);
+        document.addEventListener('click', this._documentClick);
+      }
+    };
+
+    if (this.options.adaptivePause) {
+      setupAdaptivePause();
+      this._resizeHandler = () => {
+        this.dispatchEvent('adaptive-pause-resize');
+        setupAdaptivePause();
+      };
+      window.addEventListener('resize', this._resizeHandler);
+    } else {
+      if (this.options.pauseOnHover || this.options.hoverSpeed !== null) {
+        this._hoverPause = () => this.hoverEnter();
+        this._hoverResume = () => this.hoverLeave();
+        this.container.addEventListener('mouseenter', this._hoverPause);
+        this.container.addEventListener('mouseleave', this._hoverResume);
+      }
+      if (this.options.pauseOnClick) {
+        this._clickToggle = (e) => {
+          e.stopPropagation();
+          if (this.isPaused) {
+            this.dispatchEvent('click-resume');
+            this.autoResume();
+          } else {
+            this.dispatchEvent('click-pause');
+            this.pause();
+          }
+        };
+        this._documentClick = (e) => {
+          if (!this.container.contains(e.target) && this.isPaused) {
+            this.dispatchEvent('outside-click-resume');
+            this.autoResume();
+          }
+        };
+        this.container.addEventListener('click', this._clickToggle);
+        document.addEventListener('click', this._documentClick);
+      }
+    }
+  }
+
+  /**
+   * Removes the hover and click pause handlers.
+   * @private
+   */
+  unbindPauseHandlers() {
+    this.container.removeEventListener('mouseenter', this._hoverPause);
+    this.container.removeEventListener('mouseleave', this._hoverResume);
+    this.container.removeEventListener('click', this._clickToggle);
+    document.removeEventListener('click', this._documentClick);
+    window.removeEventListener('resize', this._resizeHandler);
+    this._hoverPause = null;
+    this._hoverResume = null;
+    this._clickToggle = null;
+    this._documentClick = null;
+    this._resizeHandler = null;
+    this._adaptiveDesktop = null;
+  }
+
+  /**
+   * Observes the container visibility for the `pauseOnInvisible` option.
+   * @private
+   */
+  bindIntersection() {
+    if (!window.IntersectionObserver) return;
+    this.io = new IntersectionObserver(entries => {
+      entries.forEach(entry => {
+        if (entry.isIntersecting) {
+          this.dispatchEvent('visibility-resume');
+          this.autoResume();
+        } else {
+          this.dispatchEvent('visibility-pause');
+          this.pause();
+        }
+      });
+    }, { threshold: 0.1, rootMargin: '0px' });
+
+    /**
+     * Lanes watch their shared container, so stacked rows pause and resume together.
+     */
+    this.io.observe(this.container.classList.contains('comet-marquee-lane') ? this.container.parentElement : this.container);
+  }
+
+  /**
+   * Stops observing the container visibility.
+   * @private
+   */
+  unbindIntersection() {
+    if (this.io) this.io.disconnect();
+    this.io = null;
+  }
+
+  /**
+   * Returns the pointer position along the scrolling axis, mirrored in RTL like `currentTranslate`.
+   * @param {PointerEvent} e - The pointer event.
+   * @returns {number} The position.
+   * @private
+   */
+  getPointerPosition(e) {
+    if (this.isVertical) return e.clientY;
+    return this.isRtl ? -e.clientX : e.clientX;
+  }
+
+  /**
+   * Binds pointer handlers for the `draggable` option.
+   * A drag starts once the pointer has moved past a small threshold, so plain clicks on items still work.
+   * @private
+   */
+  bindDrag() {
+    this.container.classList.add('is-draggable');
+
+    this._dragStart = (e) => {
+      this._suppressClick = false;
+      if (!this.contentSetup || this._drag) return;
+      if (e.pointerType === 'mouse' && e.button !== 0) return;
+
+      const pos = this.getPointerPosition(e);
+      this._drag = {
+        pointerId: e.pointerId,
+        startPos: pos,
+        lastPos: pos,
+        lastTime: performance.now(),
+        velocity: 0
+      };
+    };
+
+    this._dragMove = (e) => {
+      const drag = this._drag;
+      if (!drag || e.pointerId !== drag.pointerId) return;
 
       /**
-       * Layer 3: Detects excessive calls (prevents runaway loops).
+       * Drops a pending drag whose button was released outside the container.
        */
-      if (this.resizeObserverCallCount > 100) {
-        console.error(`[CometMarquee #${this.idx}] ResizeObserver loop detected! Disconnecting to prevent crash.`);
-        this.ro.disconnect();
+      if (!this.isDragging && e.buttons === 0) {
+        this._drag = null;
+        return;
+      }
+
+      const pos = this.getPointerPosition(e);
+      const now = performance.now();
+
+      if (!this.isDragging) {
+        if (Math.abs(pos - drag.startPos) < 5) return;
+
+        this.cancelSeek();
+        this.resetStep();
+        this.isDragging = true;
+        this.inertiaVelocity = 0;
+        this.container.classList.add('is-dragging');
+        if (this.container.setPointerCapture) this.container.setPointerCapture(e.pointerId);
+        this.dispatchEvent('drag-start', { translate: this.currentTranslate });
+      }
+
+      const delta = pos - drag.lastPos;
+      const elapsed = Math.max(1, now - drag.lastTime);
+
+      /**
+       * Low-pass filters the pointer velocity (px/s) to ignore jittery samples.
+       */
+      drag.velocity = 0.8 * (delta / elapsed) * 1000 + 0.2 * drag.velocity;
+      drag.lastPos = pos;
+      drag.lastTime = now;
+
+      this.currentTranslate += delta;
+      this.wrapTranslate();
+      this.applyTransform();
+    };
+
+    this._dragEnd = (e) => {
+      const drag = this._drag;
+      if (!drag || e.pointerId !== drag.pointerId) return;
+      this._drag = null;
+
+      if (!this.isDragging) return;
+      this.isDragging = false;
+      this._suppressClick = true;
+      this.container.classList.remove('is-dragging');
+      if (this.container.releasePointerCapture && this.container.hasPointerCapture?.(e.pointerId)) {
+        this.container.releasePointerCapture(e.pointerId);
+      }
+
+      /**
+       * A pointer held still before release throws nothing. Velocity is capped to keep flicks sane.
+       */
+      const maxVelocity = 5000;
+      const releaseVelocity = performance.now() - drag.lastTime > 100
+          ? 0
+          : Math.max(-maxVelocity, Math.min(maxVelocity, drag.velocity));
+
+      this.inertiaVelocity = releaseVelocity - this.getBaseVelocity() * this.speedFactor;
+      this.lastTime = this.now();
+      this.wake();
+
+      this.dispatchEvent('drag-end', {
+        translate: this.currentTranslate,
+        velocity: releaseVelocity
+      });
+    };
+
+    /**
+     * Swallows the click that follows a drag so links and click-pause don't trigger.
+     */
+    this._dragClickGuard = (e) => {
+      if (!this._suppressClick) return;
+      this._suppressClick = false;
+      e.preventDefault();
+      e.stopImmediatePropagation();
+    };
+
+    this._nativeDragBlock = (e) => e.preventDefault();
+
+    this.container.addEventListener('pointerdown', this._dragStart);
+    this.container.addEventListener('pointermove', this._dragMove);
+    this.container.addEventListener('pointerup', this._dragEnd);
+    this.container.addEventListener('pointercancel', this._dragEnd);
+    this.container.addEventListener('click', this._dragClickGuard, true);
+    this.container.addEventListener('dragstart', this._nativeDragBlock);
+  }
+
+  /**
+   * Removes the drag handlers.
+   * @private
+   */
+  unbindDrag() {
+    this.container.removeEventListener('pointerdown', this._dragStart);
+    this.container.removeEventListener('pointermove', this._dragMove);
+    this.container.removeEventListener('pointerup', this._dragEnd);
+    this.container.removeEventListener('pointercancel', this._dragEnd);
+    this.container.removeEventListener('click', this._dragClickGuard, true);
+    this.container.removeEventListener('dragstart', this._nativeDragBlock);
+    this.container.classList.remove('is-draggable', 'is-dragging');
+    this.isDragging = false;
+    this._drag = null;
+  }
+
+  /**
+   * Binds the page scroll handler for the `scrollBoost` and `reverseOnScrollUp` options.
+   * @private
+   */
+  bindScrollBoost() {
+    this.lastScrollY = window.scrollY;
+    this.lastScrollTime = performance.now();
+
+    this._scrollHandler = () => {
+      const now = performance.now();
+      const scrollY = window.scrollY;
+      const delta = scrollY - this.lastScrollY;
+      const elapsed = Math.max(1, now - this.lastScrollTime);
+      this.lastScrollY = scrollY;
+      this.lastScrollTime = now;
+
+      if (!delta) return;
+
+      if (this.options.reverseOnScrollUp) {
+        const scrollDirection = delta < 0 ? -1 : 1;
+        if (scrollDirection !== this.scrollDirection) {
+          this.scrollDirection = scrollDirection;
+          this.dispatchEvent('scroll-direction-change', { direction: this.getDirection() });
+        }
+      }
+
+      const factor = this.options.scrollBoost === true ? 0.5 : Number(this.options.scrollBoost) || 0;
+      if (!factor) return;
+
+      /**
+       * Keeps the strongest recent boost so it doesn't drop between scroll events. Capped at 3000px/s.
+       */
+      const boost = Math.min(3000, (Math.abs(delta) / elapsed) * 1000 * factor);
+      if (boost > this.scrollBoostVelocity) {
+        if (!this.scrollBoostVelocity) {
+          this.dispatchEvent('scroll-boost-start', { boost });
+        }
+        this.scrollBoostVelocity = boost;
+        this.wake();
+      }
+    };
+
+    window.addEventListener('scroll', this._scrollHandler, { passive: true });
+  }
+
+  /**
+   * Removes the page scroll handler.
+   * @private
+   */
+  unbindScrollBoost() {
+    window.removeEventListener('scroll', this._scrollHandler);
+    this._scrollHandler = null;
+  }
+
+  /**
+   * Binds focus and keyboard handlers for the `pauseOnFocus` and `keyboardNavigation` options.
+   * @private
+   */
+  bindKeyboard() {
+    /**
+     * The container is never meant to scroll natively, but browsers scroll
+     * an `overflow: hidden` container to reveal a focused child.
+     */
+    this._containerScroll = () => {
+      if (this.container.scrollLeft || this.container.scrollTop) {
+        this.container.scrollLeft = 0;
+        this.container.scrollTop = 0;
+      }
+    };
+    this.container.addEventListener('scroll', this._containerScroll);
+
+    if (this.options.pauseOnFocus) {
+      /**
+       * The pause button is its own control: focusing it must not hold a pause the button can't lift.
+       */
+      const isInside = el => !!el && el !== this.pauseButton && this.container.contains(el);
+
+      this._focusIn = (e) => {
+        if (!isInside(e.target) || !isFocusVisible(e.target)) return;
+        this._containerScroll();
+
+        if (!this.isFocusPaused) {
+          this.isFocusPaused = true;
+          this.dispatchEvent('focus-pause');
+          this.pause();
+        }
+
+        const item = this.getItemFromElement(e.target);
+        if (item) this.revealItem(item);
+      };
+
+      this._focusOut = (e) => {
+        if (!this.isFocusPaused || isInside(e.relatedTarget)) return;
+        this.isFocusPaused = false;
+        this.dispatchEvent('focus-resume');
+        this.autoResume();
+      };
+
+      this.container.addEventListener('focusin', this._focusIn);
+      this.container.addEventListener('focusout', this._focusOut);
+    }
+
+    if (this.options.keyboardNavigation) {
+      this._keyboardStep = (e) => {
+        const keys = this.isVertical
+            ? ['ArrowUp', 'ArrowDown']
+            : (this.isRtl ? ['ArrowRight', 'ArrowLeft'] : ['ArrowLeft', 'ArrowRight']);
+        const keyIndex = keys.indexOf(e.key);
+        if (keyIndex === -1 || !this.contentSetup || !this.items.length) return;
+        e.preventDefault();
+
+        const step = keyIndex === 0 ? -1 : 1;
+        const current = this.getItemFromElement(document.activeElement);
+        const index = current ? this.items.indexOf(current) : this.getLeadingItemIndex();
+        const nextIndex = (index + step + this.items.length) % this.items.length;
+        const next = this.items[nextIndex];
+
+        /**
+         * Moves focus along when it's on an item, otherwise steps the view.
+         */
+        const focusable = next.matches(FOCUSABLE_SELECTOR) ? next : next.querySelector(FOCUSABLE_SELECTOR);
+        if (current && focusable) {
+          focusable.focus({ preventScroll: true });
+          this.revealItem(next);
+        } else {
+          this.revealItem(next, 'start');
+        }
+
+        this.dispatchEvent('keyboard-step', { index: nextIndex, item: next, step });
+      };
+
+      this.container.addEventListener('keydown', this._keyboardStep);
+    }
+  }
+
+  /**
+   * Removes the focus and keyboard handlers, releasing a pause held by focus.
+   * @private
+   */
+  unbindKeyboard() {
+    this.container.removeEventListener('scroll', this._containerScroll);
+    this.container.removeEventListener('focusin', this._focusIn);
+    this.container.removeEventListener('focusout', this._focusOut);
+    this.container.removeEventListener('keydown', this._keyboardStep);
+    this.isFocusPaused = false;
+  }
+
+  /**
+   * Observes the item list of the content for the `observeMutations` option.
+   * Clone updates and item changes already refreshed by `addItem()`/`removeItem()` are ignored.
+   * @private
+   */
+  bindMutations() {
+    watchDetachedContainers();
+
+    this.mo = new MutationObserver(() => {
+      /**
+       * Recycling rotates the originals, so any rotation of `items` counts as unchanged.
+       */
+      const originals = Array.from(this.content.children).filter(c => !c.classList.contains('comet-marquee-clone'));
+      const shift = this.recycleNodes ? Math.max(0, originals.indexOf(this.items[0])) : 0;
+      const itemsChanged = originals.length !== this.items.length
+          || this.items.some((el, i) => originals[(i + shift) % originals.length] !== el);
+      if (!itemsChanged) return;
+
+      this.dispatchEvent('items-mutated');
+      this.scheduleItemRefresh();
+    });
+
+    /**
+     * Only the item list itself: edits inside an item don't change the clones' order or count,
+     * and size changes from them are picked up by `observeItemResize`.
+     */
+    this.mo.observe(this.content, { childList: true });
+  }
+
+  /**
+   * Stops observing the content.
+   * @private
+   */
+  unbindMutations() {
+    if (this.mo) this.mo.disconnect();
+    this.mo = null;
+    if (this._mutationTimeout) clearTimeout(this._mutationTimeout);
+    this._mutationTimeout = null;
+  }
+
+  /**
+   * Debounces the refresh after item mutations or item resizes, retrying while another refresh is in progress.
+   * @private
+   */
+  scheduleItemRefresh() {
+    if (this._mutationTimeout) clearTimeout(this._mutationTimeout);
+    this._mutationTimeout = setTimeout(() => {
+      this._mutationTimeout = null;
+      if (this.isRefreshing || this.isInitializing) {
+        this.scheduleItemRefresh();
         return;
       }
+      this.refresh();
+    }, 100);
+  }
+
+  /**
+   * Checks whether an eager image inside the original items is still loading, or web fonts are.
+   * @returns {boolean} True if measuring now would read sizes that are about to change.
+   * @private
+   */
+  hasPendingAssets() {
+    const pendingImage = this.getAwaitedImages().some(img => !img.complete);
+    return pendingImage || !!(document.fonts && document.fonts.status === 'loading');
+  }
+
+  /**
+   * Returns the images inside the original items that readiness waits for.
+   * `loading="lazy"` images are left out: clipped by the container they may not load until scrolled into view,
+   * so `observeItemResize` picks up their size instead.
+   * @returns {HTMLImageElement[]} The eager images.
+   * @private
+   */
+  getAwaitedImages() {
+    return this.items
+        .flatMap(item => (item.tagName === 'IMG' ? [item] : Array.from(item.querySelectorAll('img'))))
+        .filter(img => img.getAttribute('loading') !== 'lazy');
+  }
+
+  /**
+   * Waits for the images inside the original items to load and decode, and for the web fonts,
+   * at most `readyTimeout` milliseconds. Runs the deferred layout, or re-measures if the items
+   * changed size meanwhile, then starts observing item sizes. Dispatches 'ready'.
+   * @returns {Promise<CometMarqueeInstance>} Resolves with the instance.
+   * @private
+   */
+  waitForReady() {
+    const assets = [];
+    if (this.options.waitForAssets) {
+      this.getAwaitedImages().forEach(img => assets.push(this.waitForImage(img)));
+      if (document.fonts && document.fonts.ready) assets.push(document.fonts.ready.catch(() => {}));
+    }
+
+    const timeout = new Promise(resolve => {
+      this._readyTimeout = setTimeout(() => resolve(true), this.options.readyTimeout);
+    });
+
+    return Promise.race([Promise.all(assets).then(() => false), timeout]).then(timedOut => {
+      clearTimeout(this._readyTimeout);
+      this._readyTimeout = null;
+      if (this.isDestroyed) return this;
+
+      if (this.isLayoutDeferred) {
+        this.isLayoutDeferred = false;
+        this.rebuild();
+      } else if (Math.abs(this.getTotalSize() - this.contentSize) > 0.5) {
+        this.rebuild();
+      }
+
+      this.isReady = true;
+      if (this.options.observeItemResize) this.bindItemResize();
+      this.dispatchEvent('ready', { timedOut });
+      return this;
+    });
+  }
+
+  /**
+   * Resolves once an image has loaded and decoded, or failed to.
+   * @param {HTMLImageElement} img - The image.
+   * @returns {Promise<void>} Never rejects.
+   * @private
+   */
+  waitForImage(img) {
+    if (typeof img.decode === 'function') {
+      return img.decode().catch(() => {});
+    }
+    if (img.complete) return Promise.resolve();
+    return new Promise(resolve => {
+      img.addEventListener('load', () => resolve(), { once: true });
+      img.addEventListener('error', () => resolve(), { once: true });
+    });
+  }
+
+  /**
+   * Observes the sizes of the original items and refreshes when one changes, keeping the position.
+   * Clones are not observed, they follow their original on refresh.
+   * @private
+   */
+  bindItemResize() {
+    if (!window.ResizeObserver) return;
+    this.itemRo = new ResizeObserver(entries => {
+      const resized = entries.filter(entry => {
+        const previous = this.itemSizes.get(entry.target);
+        const rect = entry.target.getBoundingClientRect();
+        const size = this.isVertical ? rect.height : rect.width;
+        this.itemSizes.set(entry.target, size);
+        return previous !== undefined && Math.abs(size - previous) > 0.5;
+      });
+      if (!resized.length) return;
+
+      this.dispatchEvent('items-resized', { items: resized.map(entry => entry.target) });
+      this.scheduleItemRefresh();
+    });
+
+    this.observeItemSizes();
+  }
+
+  /**
+   * Observes the current original items, remembering their sizes so the initial observation is not a change.
+   * @private
+   */
+  observeItemSizes() {
+    this.itemRo.disconnect();
+    this.items.forEach(item => {
+      const rect = item.getBoundingClientRect();
+      this.itemSizes.set(item, this.isVertical ? rect.height : rect.width);
+      this.itemRo.observe(item);
+    });
+  }
+
+  /**
+   * Stops observing the item sizes.
+   * @private
+   */
+  unbindItemResize() {
+    if (this.itemRo) this.itemRo.disconnect();
+    this.itemRo = null;
+  }
+
+  /**
+   * Observes which nodes intersect the container box, mapping clones to their originals,
+   * for the `activeItem` and `trackVisibility` options. Dispatches 'item-enter' and 'item-leave'.
+   * @private
+   */
+  bindItemTracking() {
+    if (!window.IntersectionObserver) return;
+    this.itemIo = new IntersectionObserver(entries => {
+      entries.forEach(entry => {
+        if (entry.isIntersecting) this.visibleNodes.add(entry.target);
+        else this.visibleNodes.delete(entry.target);
+      });
+
+      const visible = new Set(Array.from(this.visibleNodes, node => this.cloneSources.get(node) || node));
+      if (this.options.trackVisibility) {
+        this.items.forEach((item, index) => {
+          if (visible.has(item) && !this.visibleItems.has(item)) this.dispatchEvent('item-enter', { item, index });
+          else if (!visible.has(item) && this.visibleItems.has(item)) this.dispatchEvent('item-leave', { item, index });
+        });
+      }
+      this.visibleItems = visible;
+
+      if (this.options.activeItem) this.updateActiveItem();
+    }, { root: this.container });
+
+    this.observeItemNodes();
+  }
+
+  /**
+   * Observes the current nodes of the content after clones were rebuilt.
+   * Items that are still visible don't enter again, removed items are dropped without 'item-leave'.
+   * @private
+   */
+  observeItemNodes() {
+    this.itemIo.disconnect();
+    this.visibleNodes.clear();
+    this.visibleItems = new Set(this.items.filter(item => this.visibleItems.has(item)));
+    Array.from(this.content.children).forEach(node => this.itemIo.observe(node));
+
+    if (this.activeItem && !this.items.includes(this.activeItem)) this.setActiveItem(null);
+    else if (this.activeItem) this.setActiveItem(this.activeItem);
+  }
+
+  /**
+   * Stops tracking the items and removes the `is-active` class.
+   * @private
+   */
+  unbindItemTracking() {
+    if (this.itemIo) this.itemIo.disconnect();
+    this.itemIo = null;
+    if (this._activeFrame !== null) cancelAnimationFrame(this._activeFrame);
+    this._activeFrame = null;
+    this.visibleNodes.clear();
+    this.visibleItems = new Set();
+    this.content.querySelectorAll('.is-active').forEach(node => node.classList.remove('is-active'));
+    this.activeItem = null;
+  }
+
+  /**
+   * Checks the active item on the next frame, before the frame loop writes transforms, so reading
+   * the item positions doesn't force a layout. Several requests in a frame share one check.
+   * @private
+   */
+  requestActiveCheck() {
+    if (this._activeFrame !== null) return;
+    this._activeFrame = requestAnimationFrame(() => {
+      this._activeFrame = null;
+      if (this.itemIo) this.updateActiveItem();
+    });
+  }
+
+  /**
+   * Finds the visible node at the centre of the container, or the first one past its start,
+   * and makes its original the active item. Keeps the current one while no node is known to be visible.
+   * @private
+   */
+  updateActiveItem() {
+    if (!this.visibleNodes.size) return;
+
+    const { start, end } = this.getFlowEdges(this.container);
+    const center = (start + end) / 2;
+
+    let active = null;
+    let best = Infinity;
+    this.visibleNodes.forEach(node => {
+      const { start: from, end: to } = this.getFlowEdges(node);
+
+      /**
+       * `start` takes the first node reaching past the container start, `center` the one closest to the centre.
+       */
+      const distance = this.options.activeItem === 'start'
+          ? (to > start + 1 ? from : Infinity)
+          : Math.max(0, from - center, center - to);
+      if (distance < best) {
+        best = distance;
+        active = node;
+      }
+    });
+
+    if (active) this.setActiveItem(this.cloneSources.get(active) || active);
+  }
+
+  /**
+   * Moves the `is-active` class to an original item and its clones. Dispatches 'active-item-change' when it changed.
+   * @param {HTMLElement|null} item - The original item, or null.
+   * @private
+   */
+  setActiveItem(item) {
+    const previousItem = this.activeItem;
+    Array.from(this.content.children).forEach(node => {
+      node.classList.toggle('is-active', item !== null && (this.cloneSources.get(node) || node) === item);
+    });
+    this.activeItem = item;
+
+    if (item !== previousItem) {
+      this.dispatchEvent('active-item-change', {
+        item,
+        index: this.items.indexOf(item),
+        previousItem,
+        previousIndex: previousItem ? this.items.indexOf(previousItem) : -1
+      });
+    }
+  }
+
+  /**
+   * Returns the active original item of the `activeItem` option.
+   * @returns {HTMLElement|null} The active item, or null while none is known.
+   */
+  getActiveItem() {
+    return this.activeItem;
+  }
+
+  /**
+   * Returns the original item that contains the given element.
+   * @param {Element|null} el - An element inside the content.
+   * @returns {HTMLElement|null} The original item, or null for clones and elements outside items.
+   */
+  getItemFromElement(el) {
+    return this.items.find(item => item === el || item.contains(el)) || null;
+  }
+
+  /**
+   * Returns the index of the original item matching the first element (original or clone)
+   * that is visible at the leading edge of the container.
+   * @returns {number} The original item index.
+   */
+  getLeadingItemIndex() {
+    const containerStart = this.getFlowEdges(this.container).start;
+
+    /**
+     * Clones map back to their original, also after recycling reordered the nodes.
+     */
+    const leading = Array.from(this.content.children).find(el => this.getFlowEdges(el).end > containerStart + 1);
+    const item = leading && (this.cloneSources.get(leading) || leading);
+    return Math.max(0, this.items.indexOf(item));
+  }
+
+  /**
+   * Shifts `currentTranslate` so an original item is fully visible.
+   * @param {HTMLElement} item - The original item to reveal.
+   * @param {'nearest'|'start'} [align='nearest'] - `nearest` moves as little as possible, `start` aligns the item with the leading edge.
+   */
+  revealItem(item, align = 'nearest') {
+    if (!this.contentSetup) return;
+
+    const edges = this.getFlowEdges(item);
+    const itemSize = edges.end - edges.start;
+    const itemStart = edges.start - this.getFlowEdges(this.container).start;
+    const itemEnd = itemStart + itemSize;
+
+    let delta = 0;
+    if (align === 'start' || itemStart < 0 || itemSize > this.containerSize) {
+      delta = -itemStart;
+    } else if (itemEnd > this.containerSize) {
+      delta = this.containerSize - itemEnd;
+    }
+    if (!delta) return;
+
+    /**
+     * Clamps instead of wrapping: wrapping would swap the focused original for one of its clones.
+     */
+    const { min, max } = this.getTranslateRange();
+    this.currentTranslate = Math.min(max, Math.max(min, this.currentTranslate + delta));
+    this.applyTransform();
+
+    this.dispatchEvent('item-revealed', { item, index: this.items.indexOf(item) });
+  }
+
+  /**
+   * Replaces the original items with elements rendered from data records. The element of a record
+   * whose key is already rendered is reused and updated, so only new records create elements. Items are
+   * inserted, removed and reordered in place, then the clones are rebuilt once, keeping the current position.
+   * Dispatches 'items-set'.
+   * @param {Array} data - The records.
+   * @param {Function|HTMLTemplateElement} [render] - `(record, index, element)` returning the item element
+   *   (`element` is the reused element or null; a returned string becomes its text, a fragment must hold one element),
+   *   or a `<template>` with one root element whose `[data-field]` elements get the text of that record property.
+   *   By default the record is the item text.
+   * @throws {Error} If the template has no element, or `render` returns another kind of node.
+   * @param {string|Function} [key='id'] - Record property or `(record, index)` function giving the key.
+   *   Primitive records are their own key.
+   */
+  setItems(data, render = null, key = 'id') {
+    if (render instanceof HTMLTemplateElement && !render.content.firstElementChild) {
+      throw new Error('CometMarquee: setItems() template has no element to render');
+    }
+
+    const getKey = typeof key === 'function'
+        ? key
+        : (record, index) => (record !== null && typeof record === 'object' ? record[key] : record) ?? index;
+
+    /**
+     * Render functions are compared by kind, not identity, so an inline function still reuses its elements.
+     */
+    const source = typeof render === 'function' ? 'function' : render;
+    const rendered = new Map();
+    this.items.forEach(el => {
+      const entry = this.itemKeys.get(el);
+      if (entry && entry.source === source) rendered.set(entry.key, el);
+    });
+
+    const elements = data.map((record, index) => {
+      const recordKey = getKey(record, index);
+      const current = rendered.get(recordKey) || null;
+      rendered.delete(recordKey);
+
+      const el = this.renderItem(record, index, render, current);
+      this.itemKeys.set(el, { key: recordKey, source });
+      return el;
+    });
+
+    const added = elements.filter(el => !this.items.includes(el));
+    const removed = this.items.filter(el => !elements.includes(el));
 
-      /**
-       * Layer 4: Checks window size change (real resize vs internal).
-       */
-      const currentWindowSize = this.isVertical ? window.innerHeight : window.innerWidth;
-      const windowSizeChanged = currentWindowSize !== this.lastWindowWidth;
+    this.updateItems(() => {
+      removed.forEach(el => el.remove());
 
       /**
-       * Layer 5: Checks container size change (width for horizontal, height for vertical).
+       * Walks backwards from the end of the originals, so elements already in order aren't moved.
        */
-      let hasContainerSizeChanged = false;
-      for (const entry of entries) {
-        const currentSize = Math.round(this.isVertical ? entry.contentRect.height : entry.contentRect.width);
-
-        if (this.lastContainerRectWidth === 0) {
-          this.lastContainerRectWidth = currentSize;
-          if (this.options.develop) {
-            console.log(`[CometMarquee #${this.idx}] Initial ${this.isVertical ? 'height' : 'width'}: ${currentSize}px`);
-          }
-          return;
+      let next = this.getItemsEnd();
+      for (let i = elements.length - 1; i >= 0; i--) {
+        if (elements[i].nextElementSibling !== next || elements[i].parentNode !== this.content) {
+          this.content.insertBefore(elements[i], next);
         }
+        next = elements[i];
+      }
+    });
 
-        const sizeDiff = Math.abs(currentSize - this.lastContainerRectWidth);
+    this.dispatchEvent('items-set', { items: this.items, added, removed });
+  }
 
-        /**
-         * Layer 6: Ignores micro-changes (less than 5px).
-         */
-        if (sizeDiff < 5) {
-          if (this.options.develop) {
-            console.log(`[CometMarquee #${this.idx}] Size change too small (${sizeDiff}px) - ignoring`);
-          }
-          return;
-        }
+  /**
+   * Renders one record for `setItems()`.
+   * @param {*} record - The record.
+   * @param {number} index - Index of the record.
+   * @param {Function|HTMLTemplateElement|null} render - The render function or template.
+   * @param {HTMLElement|null} current - The element already rendered for the record's key.
+   * @returns {HTMLElement} The item element.
+   * @private
+   */
+  renderItem(record, index, render, current) {
+    if (render instanceof HTMLTemplateElement) {
+      const el = current || render.content.firstElementChild.cloneNode(true);
+      const fields = Array.from(el.querySelectorAll('[data-field]'));
+      if (el.hasAttribute('data-field')) fields.unshift(el);
+      fields.forEach(field => {
+        field.textContent = record[field.getAttribute('data-field')] ?? '';
+      });
+      return el;
+    }
 
-        /**
-         * Layer 7: Only processes if window actually resized OR container changed significantly.
-         */
-        if (!windowSizeChanged && sizeDiff < 10) {
-          if (this.options.develop) {
-            console.log(`[CometMarquee #${this.idx}] Internal size change without window resize - ignoring`);
-          }
-          return;
-        }
+    const result = typeof render === 'function' ? render(record, index, current) : record;
+    if (result instanceof Element) return result;
 
-        if (this.options.develop) {
-          console.log(`[CometMarquee #${this.idx}] ${this.isVertical ? 'Height' : 'Width'}: ${this.lastContainerRectWidth}px → ${currentSize}px (window: ${windowSizeChanged})`);
-        }
+    /**
+     * Items are keyed and cloned as elements: a fragment is unwrapped to its only element, other nodes are refused.
+     */
+    if (result instanceof DocumentFragment && result.childElementCount === 1) return result.firstElementChild;
+    if (result instanceof Node) {
+      throw new Error('CometMarquee: setItems() render must return an element, a fragment with one element or a string');
+    }
 
-        this.lastContainerRectWidth = currentSize;
-        hasContainerSizeChanged = true;
-      }
+    /**
+     * Anything else is set as text, never parsed as markup.
+     */
+    const el = current || document.createElement('div');
+    el.classList.add('comet-marquee-item');
+    el.textContent = String(result ?? '');
+    return el;
+  }
 
-      if (!hasContainerSizeChanged && !windowSizeChanged) {
-        return;
-      }
+  /**
+   * Returns the original items in their order.
+   * @returns {HTMLElement[]} A copy of the original items.
+   */
+  getItems() {
+    return this.items.slice();
+  }
 
-      /**
-       * Updates window size tracker.
-       */
-      this.lastWindowWidth = currentWindowSize;
+  /**
+   * Adds a new item after the last original item.
+   * @param {string|Node} item - The item element, or its HTML string.
+   */
+  addItem(item) {
+    this.insertItem(item, this.items.length);
+  }
 
-      this.dispatchEvent('container-resized');
-      this.applyFadeEdges();
+  /**
+   * Inserts a new item before the original at `index`, keeping the current position.
+   * Dispatches 'item-adding' and 'item-added'.
+   * @param {string|Node} item - The item element, or its HTML string.
+   * @param {number} [index] - Position of the new item, negative counts from the end. Appends by default.
+   */
+  insertItem(item, index = this.items.length) {
+    const newItem = this.toItemNode(item);
+    if (!newItem) return;
 
-      /**
-       * Layer 8: Aggressive debounce (increased to 300ms).
-       */
-      if (this._refreshTimeout) clearTimeout(this._refreshTimeout);
-      this._refreshTimeout = setTimeout(() => {
-        this.resizeObserverCallCount = 0;
-        this.refresh();
-      }, 300);
-    });
+    const count = this.items.length;
+    index = Math.min(count, Math.max(0, index < 0 ? count + index : index));
 
-    this.ro.observe(this.container);
+    this.dispatchEvent('item-adding', { itemHtml: typeof item === 'string' ? item : undefined, newItem, index });
 
-    this._orientationChangeHandler = () => {
-      this.dispatchEvent('orientation-change');
-      if (this._orientationTimeout) clearTimeout(this._orientationTimeout);
-      this._orientationTimeout = setTimeout(() => {
-        this._orientationTimeout = null;
-        this.applyFadeEdges();
-        this.refresh();
-      }, 200);
-    };
-    window.addEventListener('orientationchange', this._orientationChangeHandler);
+    const reference = this.items[index];
+    this.updateItems(() => this.content.insertBefore(newItem, reference || this.getItemsEnd()));
 
-    this._fadeEdgesResizeHandler = () => {
-      this.applyFadeEdges();
-    };
-    window.addEventListener('resize', this._fadeEdgesResizeHandler);
+    this.dispatchEvent('item-added', { newItem, index });
+  }
 
-    this._visibilityHandler = () => {
-      if (document.visibilityState === 'visible') {
-        if (this.options.pauseOnInvisible) {
-          this.dispatchEvent('document-visible');
-          this.resume();
-        }
-      } else if (this.options.pauseOnInvisible) {
-        this.dispatchEvent('document-hidden');
-        this.pause();
-      }
-    };
-    document.addEventListener('visibilitychange', this._visibilityHandler);
+  /**
+   * Removes an original item, keeping the current position. Dispatches 'item-removing' and 'item-removed'.
+   * @param {number|Element} [target] - Index of the item (negative counts from the end), or an element
+   *   inside it. Removes the last item by default.
+   */
+  removeItem(target = -1) {
+    const index = this.resolveItemIndex(target);
+    if (index < 0) return;
 
-    const mql = window.matchMedia('(prefers-reduced-motion: reduce)');
-    this._motionChangeHandler = () => {
-      if (mql.matches) {
-        this.dispatchEvent('reduced-motion-on');
-        this.pause();
-      } else {
-        this.dispatchEvent('reduced-motion-off');
-        this.resume();
-      }
-    };
-    if (mql.matches) this.pause();
-    if (mql.addEventListener) {
-      mql.addEventListener('change', this._motionChangeHandler);
-    }
+    const removedItem = this.items[index];
+    this.dispatchEvent('item-removing', { removedItem, index });
+
+    this.updateItems(() => removedItem.remove());
+
+    this.dispatchEvent('item-removed', { removedItem, index });
   }
 
   /**
-   * Adds a new item to the marquee.
+   * Replaces an original item, keeping the current position. Dispatches 'item-replaced'.
+   * @param {number|Element} target - Index of the item (negative counts from the end), or an element inside it.
+   * @param {string|Node} item - The new item element, or its HTML string.
    */
-  addItem(itemHtml) {
-    this.dispatchEvent('item-adding', { itemHtml });
+  replaceItem(target, item) {
+    const index = this.resolveItemIndex(target);
+    const newItem = this.toItemNode(item);
+    if (index < 0 || !newItem) return;
 
-    const temp = document.createElement('div');
-    temp.innerHTML = itemHtml;
-    const newItem = temp.firstElementChild;
+    const oldItem = this.items[index];
+    this.updateItems(() => oldItem.replaceWith(newItem));
+
+    this.dispatchEvent('item-replaced', { oldItem, newItem, index });
+  }
+
+  /**
+   * Moves an original item to another position, keeping the current position of the marquee.
+   * Dispatches 'item-moved'.
+   * @param {number|Element} from - Index of the item (negative counts from the end), or an element inside it.
+   * @param {number} to - New index of the item, negative counts from the end.
+   */
+  moveItem(from, to) {
+    const fromIndex = this.resolveItemIndex(from);
+    if (fromIndex < 0) return;
 
-    const firstClone = this.content.querySelector('.comet-marquee-clone');
-    if (firstClone) this.content.insertBefore(newItem, firstClone);
-    else this.content.appendChild(newItem);
+    const item = this.items[fromIndex];
+    const others = this.items.filter(el => el !== item);
+    const toIndex = Math.min(others.length, Math.max(0, to < 0 ? others.length + 1 + to : to));
+    if (toIndex === fromIndex) return;
 
-    this.refresh();
+    this.updateItems(() => this.content.insertBefore(item, others[toIndex] || this.getItemsEnd()));
 
-    this.dispatchEvent('item-added', { newItem });
+    this.dispatchEvent('item-moved', { item, from: fromIndex, to: toIndex });
   }
 
   /**
-   * Removes the last original item from the marquee.
+   * Resolves an index or an element to the index of an original item.
+   * @param {number|Element} target - Index (negative counts from the end), or an element inside an item.
+   * @returns {number} The item index, or -1 if there is no such item.
+   * @private
    */
-  removeItem() {
-    const originals = Array.from(this.content.children).filter(c => !c.classList.contains('comet-marquee-clone'));
-    if (originals.length > 0) {
-      const removedItem = originals[originals.length - 1];
+  resolveItemIndex(target) {
+    if (target instanceof Element) return this.items.indexOf(this.getItemFromElement(target));
 
-      this.dispatchEvent('item-removing', { removedItem });
+    const index = target < 0 ? this.items.length + target : target;
+    return Number.isInteger(index) && index >= 0 && index < this.items.length ? index : -1;
+  }
 
-      removedItem.remove();
-      this.refresh();
+  /**
+   * Returns the item node for an element or an HTML string.
+   * @param {string|Node} item - The item element, or its HTML string.
+   * @returns {Element|null} The item element.
+   * @private
+   */
+  toItemNode(item) {
+    if (item instanceof Node) return item;
 
-      this.dispatchEvent('item-removed');
-    }
+    const temp = document.createElement('div');
+    temp.innerHTML = item;
+    return temp.firstElementChild;
+  }
+
+  /**
+   * Returns the node new items are inserted before to follow the last original: the first appended clone, or null.
+   * @returns {Element|null} The reference node.
+   * @private
+   */
+  getItemsEnd() {
+    return this.content.querySelector('.comet-marquee-clone:not(.comet-marquee-prepend)');
+  }
+
+  /**
+   * Applies a change to the original items in the DOM, then rebuilds the clones once, keeping the current position.
+   * Dispatches 'refresh-start' and 'refresh-complete' like `refresh()`.
+   * @param {Function} mutate - Changes the originals.
+   * @private
+   */
+  updateItems(mutate) {
+    this.dispatchEvent('refresh-start');
+    const anchor = this.captureAnchor();
+    this.restoreItemOrder();
+    mutate();
+    this.rebuild(anchor);
+    this.dispatchEvent('refresh-complete');
   }
 
   /**
@@ -1261,6 +4181,7 @@ class CometMarqueeInstance {
     if (this._orientationTimeout) {
       clearTimeout(this._orientationTimeout);
     }
+    this.isDestroyed = true;
 
     if (window.__allCometMarqueeInstances) {
       const index = window.__allCometMarqueeInstances.indexOf(this);
@@ -1269,36 +4190,28 @@ class CometMarqueeInstance {
       }
     }
 
-    if (this.io) this.io.disconnect();
     if (this.ro) this.ro.disconnect();
 
-    this.container.removeEventListener('mouseenter', this._hoverPause);
-    this.container.removeEventListener('mouseleave', this._hoverResume);
-    this.container.removeEventListener('click', this._clickToggle);
-    document.removeEventListener('click', this._documentClick);
-    window.removeEventListener('resize', this._resizeHandler);
+    this.unbindPauseHandlers();
+    this.unbindIntersection();
+    this.unbindDrag();
+    this.unbindScrollBoost();
+    this.unbindKeyboard();
+    this.unbindMutations();
+    this.unbindItemResize();
+    this.unbindItemTracking();
+    this.unbindBreakpoints();
+
     window.removeEventListener('resize', this._fadeEdgesResizeHandler);
     window.removeEventListener('orientationchange', this._orientationChangeHandler);
     document.removeEventListener('visibilitychange', this._visibilityHandler);
 
+    this.removeAccessibility();
+
     /**
      * Cleanup fullSize (horizontal and vertical) handlers and restore original styles.
      */
-    if (this._fullWidthResizeHandler) {
-      window.removeEventListener('resize', this._fullWidthResizeHandler);
-    }
-    if (this._fullWidthDebounceTimeout) {
-      clearTimeout(this._fullWidthDebounceTimeout);
-    }
-    if (this._originalContainerStyles) {
-      this.container.style.width = this._originalContainerStyles.width;
-      this.container.style.height = this._originalContainerStyles.height;
-      this.container.style.maxWidth = this._originalContainerStyles.maxWidth;
-      this.container.style.maxHeight = this._originalContainerStyles.maxHeight;
-      this.container.style.marginLeft = this._originalContainerStyles.marginLeft;
-      this.container.style.marginTop = this._originalContainerStyles.marginTop;
-      this.container.style.position = this._originalContainerStyles.position;
-    }
+    this.removeFullSize();
 
     /**
      * Removes vertical attribute from container.
@@ -1307,8 +4220,21 @@ class CometMarqueeInstance {
       this.container.removeAttribute('data-vertical');
     }
 
-    const mql = window.matchMedia('(prefers-reduced-motion: reduce)');
-    if (mql.removeEventListener) {
+    /**
+     * Restores the original content so the container can be initialized again.
+     */
+    this.restoreItemOrder();
+    this.content.querySelectorAll('.comet-marquee-clone').forEach(n => n.remove());
+    this.content.style.transform = '';
+    this.content.style.willChange = '';
+    this.content.style.width = '';
+    this.content.style.height = '';
+    this.container.classList.remove('is-init-comet-marquee', 'is-rtl');
+    this.clearFadeEdges();
+    this.restoreDir();
+
+    const mql = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+    if (mql && mql.removeEventListener) {
       mql.removeEventListener('change', this._motionChangeHandler);
     }
 
@@ -1316,6 +4242,171 @@ class CometMarqueeInstance {
   }
 }
 
+/**
+ * Options that `<comet-marquee>` reads from its attributes, kebab-cased (`pauseOnHover` → `pause-on-hover`).
+ * `role` and `ariaLabel` are left out: the element's own `role` and `aria-label` attributes are kept as authored.
+ * @type {string[]}
+ */
+const ELEMENT_OPTIONS = [
+  'speed', 'gap', 'pauseOnHover', 'pauseOnClick', 'adaptivePause', 'reverse', 'initialShift',
+  'pauseOnInvisible', 'syncPause', 'repeatCount', 'develop', 'forceAnimation', 'forceAnimationWidth',
+  'fadeEdges', 'fullWidth', 'vertical', 'direction', 'height', 'draggable', 'dragFriction', 'scrollBoost',
+  'scrollBoostFriction', 'reverseOnScrollUp', 'pauseButton', 'pauseButtonLabels', 'pauseOnFocus',
+  'keyboardNavigation', 'observeMutations', 'pauseDuration', 'resumeDuration', 'pauseEasing',
+  'hoverSpeed', 'renderer', 'autoplay', 'recycle', 'waitForAssets', 'readyTimeout', 'observeItemResize',
+  'activeItem', 'trackVisibility', 'step', 'stepDuration', 'stepDwell', 'stepEasing', 'breakpoints'
+];
+
+/**
+ * Native `<comet-marquee>` custom element wrapping a CometMarqueeInstance.
+ * The element is the container; its children are wrapped in `.comet-marquee-content` if needed.
+ * Options come from attributes (`speed="60"`, `reverse`, `fade-edges="1900"`) and the JSON `options` attribute.
+ */
+class CometMarqueeElement extends HTMLElement {
+  /**
+   * Attributes that apply live when changed.
+   * @returns {string[]} The observed attribute names.
+   */
+  static get observedAttributes() {
+    return ['options', ...ELEMENT_OPTIONS.map(key => key.replace(/[A-Z]/g, m => `-${m.toLowerCase()}`))];
+  }
+
+  constructor() {
+    super();
+    /**
+     * The marquee instance while the element is connected.
+     * @type {CometMarqueeInstance|null}
+     */
+    this.instance = null;
+    this._waitingForDom = false;
+    this._updateQueued = false;
+  }
+
+  /**
+   * Reads the options from the element attributes.
+   * @param {boolean} [withRemoved=false] - Includes options without an attribute as `undefined`, so they reset to defaults.
+   * @returns {CometMarqueeOptions} The options.
+   */
+  getOptions(withRemoved = false) {
+    let options = {};
+    if (withRemoved) ELEMENT_OPTIONS.forEach(key => { options[key] = undefined; });
+
+    const json = this.getAttribute('options');
+    if (json) {
+      try {
+        options = { ...options, ...JSON.parse(json) };
+      } catch (e) {
+        console.warn('CometMarquee: invalid JSON in options attribute', this);
+      }
+    }
+
+    ELEMENT_OPTIONS.forEach(key => {
+      const value = this.getAttribute(key.replace(/[A-Z]/g, m => `-${m.toLowerCase()}`));
+      if (value !== null) options[key] = parseDataValue(value);
+    });
+
+    return options;
+  }
+
+  /**
+   * Initializes the marquee once the element and its children are in the DOM.
+   */
+  connectedCallback() {
+    /**
+     * While the document is parsed, children may not exist yet when the element connects.
+     */
+    if (document.readyState === 'loading') {
+      if (!this._waitingForDom) {
+        this._waitingForDom = true;
+        document.addEventListener('DOMContentLoaded', () => {
+          this._waitingForDom = false;
+          this.connectedCallback();
+        }, { once: true });
+      }
+      return;
+    }
+
+    if (!this.isConnected || this.instance) return;
+
+    this.classList.add('comet-marquee-container');
+
+    if (!Array.from(this.children).some(c => c.classList.contains('comet-marquee-content'))) {
+      const content = document.createElement('div');
+      content.className = 'comet-marquee-content';
+      while (this.firstChild) content.appendChild(this.firstChild);
+      this.appendChild(content);
+    }
+
+    this.instance = new CometMarqueeInstance(this, this.getOptions());
+  }
+
+  /**
+   * Destroys the marquee when the element leaves the DOM.
+   */
+  disconnectedCallback() {
+    if (!this.instance) return;
+    this.instance.destroy();
+    this.instance = null;
+  }
+
+  /**
+   * Applies attribute changes with `setOptions()`, batching several changes made in the same task.
+   */
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (!this.instance || oldValue === newValue || this._updateQueued) return;
+
+    this._updateQueued = true;
+    Promise.resolve().then(() => {
+      this._updateQueued = false;
+      if (this.instance) this.instance.setOptions(this.getOptions(true));
+    });
+  }
+
+  /**
+   * Starts or restarts the animation.
+   */
+  start() { if (this.instance) this.instance.startAnimation(); }
+
+  /**
+   * Stops the animation completely.
+   */
+  stop() { if (this.instance) this.instance.stop(); }
+
+  /**
+   * Pauses the animation.
+   */
+  pause() { if (this.instance) this.instance.pause(); }
+
+  /**
+   * Resumes the animation.
+   */
+  resume() { if (this.instance) this.instance.resume(); }
+
+  /**
+   * Recalculates dimensions, rebuilds clones, and restarts the animation.
+   */
+  refresh() { if (this.instance) this.instance.refresh(); }
+
+  /**
+   * Resolves with the marquee instance once its item assets are loaded, see `CometMarqueeInstance#ready`.
+   * Resolves with null while the element is not connected.
+   * @returns {Promise<CometMarqueeInstance|null>} The readiness promise.
+   */
+  get ready() { return this.instance ? this.instance.ready : Promise.resolve(null); }
+
+  /**
+   * Replaces the items with elements rendered from data records, see `CometMarqueeInstance#setItems()`.
+   * @param {Array} data - The records.
+   * @param {Function|HTMLTemplateElement} [render] - Render function or template.
+   * @param {string|Function} [key] - Record property or function giving the key.
+   */
+  setItems(data, render, key) { if (this.instance) this.instance.setItems(data, render, key); }
+}
+
+if (typeof window !== 'undefined') {
+  CometMarquee.defineElement();
+}
+
 
 export default CometMarquee;
 
@@ -1325,4 +4416,21 @@ if (typeof window !== 'undefined') {
   } else {
     window.CometMarquee = CometMarquee;
   }
+
+  /**
+   * Opt-in auto-run: `<script src="comet-marquee.umd.js" data-comet-marquee-auto-init></script>`
+   * initializes all `[data-comet-marquee]` containers once the DOM is ready,
+   * `data-comet-marquee-auto-init="observe"` also keeps watching for inserted ones.
+   * `document.currentScript` is only set for classic scripts, so module builds call `autoInit()`/`observe()` instead.
+   */
+  const script = document.currentScript;
+  if (script && script.getAttribute('data-comet-marquee-auto-init') === 'observe') {
+    CometMarquee.observe();
+  } else if (script && script.hasAttribute('data-comet-marquee-auto-init')) {
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', () => CometMarquee.autoInit(), { once: true });
+    } else {
+      CometMarquee.autoInit();
+    }
+  }
 }
\ No newline at end of file
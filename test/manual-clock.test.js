@@ -0,0 +1,199 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM } = require('jsdom');
+
+const bundle = fs.readFileSync(path.join(__dirname, '../dist/comet-marquee.umd.js'), 'utf8');
+
+const CONTAINER_WIDTH = 1000;
+const ITEM_WIDTH = 200;
+
+/**
+ * Creates a window with the bundle loaded and a marquee of `count` items.
+ * jsdom has no layout, so boxes are derived from the item count and the content transform.
+ * It also lacks ResizeObserver, IntersectionObserver and matchMedia, which the instance must tolerate.
+ * @param {number} count - Number of items.
+ * @returns {{ window: Window, container: HTMLElement }}
+ */
+function setup(count) {
+  const items = Array.from({ length: count }, (_, i) => `<div class="comet-marquee-item">${i + 1}</div>`).join('');
+  const dom = new JSDOM(`<!doctype html><body><div class="comet-marquee-container"><div class="comet-marquee-content">${items}</div></div></body>`, {
+    runScripts: 'outside-only',
+    pretendToBeVisual: true
+  });
+  const { window } = dom;
+  window.innerWidth = CONTAINER_WIDTH;
+
+  const translateOf = (el) => {
+    const match = /translate3d\(([-\d.e]+)px/.exec(el.style.transform || '');
+    return match ? parseFloat(match[1]) : 0;
+  };
+  const box = (x, width) => ({ x, y: 0, left: x, top: 0, right: x + width, bottom: 100, width, height: 100 });
+
+  window.Element.prototype.getBoundingClientRect = function () {
+    if (this.classList.contains('comet-marquee-container')) return box(0, CONTAINER_WIDTH);
+    if (this.classList.contains('comet-marquee-content')) {
+      return box(translateOf(this), this.children.length * ITEM_WIDTH);
+    }
+    const parent = this.parentElement;
+    if (parent && parent.classList.contains('comet-marquee-content')) {
+      const index = Array.prototype.indexOf.call(parent.children, this);
+      return box(translateOf(parent) + index * ITEM_WIDTH, ITEM_WIDTH);
+    }
+    return box(0, 0);
+  };
+
+  window.eval(bundle);
+  return { window, container: window.document.querySelector('.comet-marquee-container') };
+}
+
+test('constructs without ResizeObserver, IntersectionObserver and matchMedia', async () => {
+  const { window } = setup(6);
+  assert.equal(window.ResizeObserver, undefined);
+  assert.equal(window.IntersectionObserver, undefined);
+  assert.equal(window.matchMedia, undefined);
+
+  const marquee = new window.CometMarquee('.comet-marquee-container', { autoplay: false, pauseOnInvisible: true, activeItem: true });
+  await marquee.ready;
+  assert.ok(marquee.instances[0].contentSetup);
+  marquee.destroy();
+});
+
+test('tick() wraps forward and dispatches animation-cycle once per period', async () => {
+  const { window, container } = setup(6);
+  const cycles = [];
+  container.addEventListener('comet-marquee:animation-cycle', e => cycles.push(e.detail.direction));
+
+  const marquee = new window.CometMarquee(container, { speed: 100, autoplay: false });
+  await marquee.ready;
+  const instance = marquee.instances[0];
+  const loopWidth = 6 * ITEM_WIDTH;
+
+  assert.ok(instance.currentTranslate === 0, 'does not move without ticks');
+
+  for (let i = 0; i < 11; i++) marquee.tick(1000);
+  assert.equal(instance.currentTranslate, -1100);
+  assert.deepEqual(cycles, []);
+
+  marquee.tick(1500);
+  assert.equal(instance.currentTranslate, -1250 + loopWidth);
+  assert.deepEqual(cycles, ['forward']);
+
+  marquee.tick(loopWidth * 10);
+  assert.ok(instance.currentTranslate <= 0 && instance.currentTranslate > -loopWidth);
+  assert.equal(cycles.length, 2);
+
+  marquee.destroy();
+});
+
+test('tick() wraps in reverse', async () => {
+  const { window, container } = setup(6);
+  const cycles = [];
+  container.addEventListener('comet-marquee:animation-cycle', e => cycles.push(e.detail.direction));
+
+  const marquee = new window.CometMarquee(container, { speed: 100, autoplay: false, reverse: true });
+  await marquee.ready;
+  const instance = marquee.instances[0];
+  const { min, max } = instance.getTranslateRange();
+  const steps = Math.floor((max - instance.currentTranslate) / 100) + 1;
+
+  for (let i = 0; i < steps; i++) marquee.tick(1000);
+  assert.deepEqual(cycles, ['reverse']);
+  assert.ok(instance.currentTranslate >= min && instance.currentTranslate < max);
+
+  marquee.destroy();
+});
+
+/**
+ * Returns the text of the node (original or clone) at the leading edge and its left edge.
+ * @param {object} instance - The marquee instance.
+ * @returns {{ text: string, left: number }}
+ */
+function leading(instance) {
+  const node = Array.from(instance.content.children).find(el => el.getBoundingClientRect().right > 0);
+  return { text: node.textContent, left: node.getBoundingClientRect().left };
+}
+
+/**
+ * Returns the texts of the originals and of the clones.
+ * @param {object} instance - The marquee instance.
+ * @returns {{ items: string[], clones: string[] }}
+ */
+function texts(instance) {
+  const children = Array.from(instance.content.children);
+  return {
+    /**
+     * `Array.from` brings the array into this realm, `deepStrictEqual` compares prototypes.
+     */
+    items: Array.from(instance.getItems(), el => el.textContent),
+    clones: children.filter(el => el.classList.contains('comet-marquee-clone')).map(el => el.textContent)
+  };
+}
+
+test('setItems() reuses elements by key and rebuilds clones in the new order', async () => {
+  const { window } = setup(1);
+  const marquee = new window.CometMarquee('.comet-marquee-container', { autoplay: false });
+  await marquee.ready;
+  const instance = marquee.instances[0];
+  const render = (record, index, el) => {
+    const item = el || window.document.createElement('div');
+    item.textContent = record.name;
+    return item;
+  };
+
+  const records = names => names.split('').map(name => ({ id: name, name }));
+
+  instance.setItems(records('abcdef'), render);
+  const elements = new Map(Array.from(instance.getItems(), el => [el.textContent, el]));
+
+  instance.setItems(records('fedcbg'), render);
+  const { items, clones } = texts(instance);
+  assert.deepEqual(items, ['f', 'e', 'd', 'c', 'b', 'g']);
+  ['f', 'e', 'd', 'c', 'b'].forEach((name, i) => assert.equal(instance.getItems()[i], elements.get(name)));
+  assert.ok(!elements.get('a').isConnected);
+  assert.ok(clones.length > 0 && clones.length % items.length === 0);
+  clones.forEach((text, i) => assert.equal(text, items[i % items.length]));
+
+  marquee.destroy();
+});
+
+test('positional item API keeps originals and clones in order', async () => {
+  const { window } = setup(4);
+  const marquee = new window.CometMarquee('.comet-marquee-container', { autoplay: false });
+  await marquee.ready;
+  const instance = marquee.instances[0];
+
+  instance.insertItem('<div class="comet-marquee-item">new</div>', 1);
+  assert.deepEqual(texts(instance).items, ['1', 'new', '2', '3', '4']);
+
+  instance.removeItem(-1);
+  instance.moveItem(0, 2);
+  instance.replaceItem(0, '<div class="comet-marquee-item">swap</div>');
+
+  const { items, clones } = texts(instance);
+  assert.deepEqual(items, ['swap', '2', '1', '3']);
+  clones.forEach((text, i) => assert.equal(text, items[i % items.length]));
+
+  marquee.destroy();
+});
+
+test('inserting or removing before the leading item keeps it in place', async () => {
+  const { window } = setup(7);
+  const marquee = new window.CometMarquee('.comet-marquee-container', { speed: 100, autoplay: false });
+  await marquee.ready;
+  const instance = marquee.instances[0];
+
+  marquee.tick(3500);
+  const before = leading(instance);
+  assert.deepEqual(before, { text: '2', left: -150 });
+
+  instance.insertItem('<div class="comet-marquee-item">new</div>', 0);
+  assert.deepEqual(leading(instance), before);
+
+  instance.removeItem(0);
+  instance.removeItem(0);
+  assert.deepEqual(leading(instance), before);
+
+  marquee.destroy();
+});